@@ -28,6 +28,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // 缓存变化时只重新获取当前页
+    socket.on('adminCacheUpdate', () => {
+        if (dashboardView.style.display === 'block') {
+            loadCachePage();
+        }
+    });
+
     // --- API 请求封装 ---
     async function apiRequest(url, options = {}) {
         try {
@@ -59,6 +66,7 @@ document.addEventListener('DOMContentLoaded', () => {
         dashboardView.style.display = 'block';
         socket.emit('joinAdmin'); // 加入 admin 频道以接收实时更新
         loadDashboardData();
+        loadCachePage();
     }
 
     // --- 登录/登出逻辑 ---
@@ -88,7 +96,12 @@ document.addEventListener('DOMContentLoaded', () => {
         const data = await apiRequest('/admin/api/data');
         if (data) {
             renderRoomList(data.rooms);
-            renderCacheList(data.cache);
+            renderFlaggedList(data.flagged);
+            renderModeration(data.moderation);
+            renderCorpusInfo(data.corpus);
+            renderBannedWords(data.bannedWords);
+            const reviewCount = data.moderation.pending.length + data.flagged.length;
+            document.getElementById('pending-count').textContent = reviewCount > 0 ? reviewCount : '';
         }
     }
 
@@ -98,9 +111,12 @@ document.addEventListener('DOMContentLoaded', () => {
         tbody.innerHTML = '';
         rooms.forEach(room => {
             const tr = document.createElement('tr');
+            const visibility = [room.isUnlisted ? '不公开' : '公开', room.hasPassword ? '🔒 有密码' : '']
+                .filter(Boolean).join(' / ');
             tr.innerHTML = `
                 <td>${room.id}</td>
                 <td>${room.playerCount}</td>
+                <td>${visibility}</td>
                 <td>
                     <input type="checkbox" class="permanent-toggle" data-room-id="${room.id}" ${room.isPermanent ? 'checked' : ''}>
                 </td>
@@ -115,37 +131,168 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // 渲染缓存列表
+    // 渲染缓存列表：由服务器分页查询，每次只获取一页
     const cacheList = document.getElementById('cache-list');
-    let fullCache = [];
-    function renderCacheList(cache) {
-        fullCache = cache;
-        const searchTerm = document.getElementById('cache-search-input').value.toLowerCase();
+    const CACHE_SOURCE_LABELS = {
+        admin: '管理员添加',
+        vote: '投票通过',
+        practice: '单人练习',
+        import: '批量导入',
+        corpus: '词库确认',
+        legacy: '旧数据',
+    };
+    let cachePage = 1;
+    async function loadCachePage(page = cachePage) {
+        const params = new URLSearchParams({
+            q: document.getElementById('cache-search-input').value.trim(),
+            char: document.getElementById('cache-char-filter').value.trim(),
+            source: document.getElementById('cache-source-filter').value,
+            sort: document.getElementById('cache-sort').value,
+            page: page,
+        });
+        const result = await apiRequest(`/admin/api/cache?${params}`);
+        if (result) renderCacheList(result);
+    }
+
+    function renderCacheList(result) {
+        cachePage = result.page;
         cacheList.innerHTML = '';
-        const filteredCache = cache.filter(item => item.toLowerCase().includes(searchTerm));
-        
-        filteredCache.forEach(item => {
+        document.getElementById('cache-count').textContent = `共 ${result.total} / ${result.cacheSize} 句`;
+        document.getElementById('cache-page-info').textContent = `第 ${result.page} / ${result.pageCount} 页`;
+        document.getElementById('cache-prev-btn').disabled = result.page <= 1;
+        document.getElementById('cache-next-btn').disabled = result.page >= result.pageCount;
+
+        result.entries.forEach(entry => {
             const li = document.createElement('li');
-            li.textContent = item;
+            const info = document.createElement('span');
+            info.textContent = entry.sentence;
+            const details = document.createElement('span');
+            details.className = 'cache-details';
+            const parts = [CACHE_SOURCE_LABELS[entry.source] || entry.source];
+            if (entry.roomId) parts.push(`房间 [${entry.roomId}]`);
+            if (entry.nickname) parts.push(`【${entry.nickname}】`);
+            parts.push(entry.addedAt ? new Date(entry.addedAt).toLocaleString() : '添加时间未知');
+            parts.push(`命中 ${entry.hits} 次` + (entry.lastHitAt ? ` (最近 ${new Date(entry.lastHitAt).toLocaleString()})` : ''));
+            details.textContent = parts.join(' · ');
+            info.appendChild(details);
+            li.appendChild(info);
             const deleteBtn = document.createElement('button');
             deleteBtn.textContent = '删除';
             deleteBtn.className = 'action-btn delete-btn';
-            deleteBtn.dataset.sentence = item;
+            deleteBtn.dataset.sentence = entry.sentence;
             li.appendChild(deleteBtn);
             cacheList.appendChild(li);
         });
     }
 
+    // 渲染待批准诗句 (保留刷新前的勾选状态)
+    const pendingListBody = document.getElementById('pending-list-body');
+    const selectAllPending = document.getElementById('select-all-pending');
+    let selectedPending = new Set();
+    function renderModeration(moderation) {
+        document.getElementById('auto-promote-toggle').checked = moderation.autoPromote;
+        const sentences = moderation.pending.map(entry => entry.sentence);
+        selectedPending = new Set([...selectedPending].filter(sentence => sentences.includes(sentence)));
+        selectAllPending.checked = sentences.length > 0 && selectedPending.size === sentences.length;
+        pendingListBody.innerHTML = '';
+        if (moderation.pending.length === 0) {
+            const tr = document.createElement('tr');
+            tr.innerHTML = '<td colspan="8">暂无待批准的诗句</td>';
+            pendingListBody.appendChild(tr);
+            return;
+        }
+        moderation.pending.forEach(entry => {
+            const tr = document.createElement('tr');
+            // 单人练习中提交的诗句没有经过投票
+            const { valid, invalid, auto } = entry.votes || {};
+            // 赞同票全部来自超时或掉线时重点提示
+            if (auto > 0 && auto >= valid) tr.className = 'auto-approved';
+            const cells = [
+                entry.answer,
+                entry.roomId,
+                entry.nickname,
+                entry.votes ? `${valid} / ${invalid}` : '单人练习',
+                entry.votes ? auto : '-',
+                entry.approvals,
+                new Date(entry.submittedAt).toLocaleString(),
+            ];
+            const checkboxCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'pending-select';
+            checkbox.dataset.sentence = entry.sentence;
+            checkbox.checked = selectedPending.has(entry.sentence);
+            checkboxCell.appendChild(checkbox);
+            tr.appendChild(checkboxCell);
+            cells.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            pendingListBody.appendChild(tr);
+        });
+    }
+
+    // 渲染待审核诗句
+    const flaggedList = document.getElementById('flagged-list');
+    function renderFlaggedList(flagged) {
+        flaggedList.innerHTML = '';
+        if (flagged.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'empty';
+            li.textContent = '暂无待审核的诗句';
+            flaggedList.appendChild(li);
+            return;
+        }
+        flagged.forEach(flag => {
+            const li = document.createElement('li');
+            const info = document.createElement('span');
+            info.textContent = flag.answer;
+            const details = document.createElement('span');
+            details.className = 'flag-details';
+            details.textContent = `房间 [${flag.roomId}] · 【${flag.challenger}】质疑【${flag.nickname}】 · ` +
+                `赞同 ${flag.votes.valid} / 反对 ${flag.votes.invalid} · ${new Date(flag.flaggedAt).toLocaleString()}`;
+            info.appendChild(details);
+            const actions = document.createElement('span');
+            const keepBtn = document.createElement('button');
+            keepBtn.textContent = '保留';
+            keepBtn.className = 'action-btn keep-btn';
+            keepBtn.dataset.sentence = flag.sentence;
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = '删除';
+            deleteBtn.className = 'action-btn delete-btn';
+            deleteBtn.dataset.sentence = flag.sentence;
+            actions.append(keepBtn, deleteBtn);
+            li.append(info, actions);
+            flaggedList.appendChild(li);
+        });
+    }
+
+    // 渲染屏蔽词列表 (正在编辑时不覆盖输入框)
+    function renderBannedWords(words) {
+        const input = document.getElementById('banned-words-input');
+        if (document.activeElement !== input) input.value = words.join('\n');
+        document.getElementById('banned-words-count').textContent = `共 ${words.length} 个屏蔽词。`;
+    }
+
+    // 渲染古诗词库状态
+    function renderCorpusInfo(corpus) {
+        document.getElementById('corpus-enabled-toggle').checked = corpus.enabled;
+        document.getElementById('corpus-stats').textContent =
+            `已收录 ${corpus.poemCount} 首诗词，共 ${corpus.lineCount} 句。`;
+    }
+
     // 渲染玩家列表模态框
     function renderPlayerList(players, roomId) {
         playerListBody.innerHTML = '';
         players.forEach(player => {
             const tr = document.createElement('tr');
             tr.innerHTML = `
-                <td>${player.nickname}</td>
+                <td>${player.isBot ? '🤖 ' : ''}${player.nickname}</td>
                 <td>${player.score}</td>
-                <td>${player.online ? '在线' : '离线'}</td>
+                <td>${player.online ? '在线' : '离线'}${getClaimStatus(player)}</td>
                 <td>
+                    ${!player.online && !player.isBot && !player.claimable ? `<button class="action-btn allow-claim-btn" data-room-id="${roomId}" data-nickname="${player.nickname}">允许认领</button>` : ''}
                     <button class="action-btn delete-btn" data-room-id="${roomId}" data-nickname="${player.nickname}">移除</button>
                 </td>
             `;
@@ -153,6 +300,13 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // 没有重连凭证的席位须由管理员允许认领，允许后下一位以该昵称进入的人接管
+    function getClaimStatus(player) {
+        if (player.claimable) return ' · 已允许认领';
+        if (player.unclaimed) return ' · 待认领';
+        return '';
+    }
+
     // --- 模态框控制 ---
     function openPlayerModal(roomId) {
         playerModalTitle.textContent = `管理房间 [${roomId}] 的玩家`;
@@ -208,11 +362,31 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
                 loadAndRenderPlayers(roomId);
             }
+        } else if (target.classList.contains('allow-claim-btn')) {
+            const { roomId, nickname } = target.dataset;
+            if (confirm(`允许下一位以 ${nickname} 进入房间 ${roomId} 的人接管该席位吗？原有的重连凭证将失效。`)) {
+                await apiRequest('/admin/api/rooms/players/allow-claim', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ roomId, nickname }),
+                });
+                loadAndRenderPlayers(roomId);
+            }
         }
     });
 
     // 缓存管理事件
-    document.getElementById('cache-search-input').addEventListener('input', () => renderCacheList(fullCache));
+    let cacheSearchTimeout = null;
+    ['cache-search-input', 'cache-char-filter'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            clearTimeout(cacheSearchTimeout);
+            cacheSearchTimeout = setTimeout(() => loadCachePage(1), 300);
+        });
+    });
+    document.getElementById('cache-source-filter').addEventListener('change', () => loadCachePage(1));
+    document.getElementById('cache-sort').addEventListener('change', () => loadCachePage(1));
+    document.getElementById('cache-prev-btn').addEventListener('click', () => loadCachePage(cachePage - 1));
+    document.getElementById('cache-next-btn').addEventListener('click', () => loadCachePage(cachePage + 1));
     
     document.getElementById('add-cache-form').addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -227,6 +401,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (result) {
             input.value = '';
             loadDashboardData();
+            loadCachePage();
         }
     });
 
@@ -239,11 +414,159 @@ document.addEventListener('DOMContentLoaded', () => {
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ sentence }),
                 });
-                if (result) loadDashboardData();
+                if (result) loadCachePage();
             }
         }
     });
 
+    // 标签页切换
+    document.querySelectorAll('.tab-btn').forEach(tabBtn => {
+        tabBtn.addEventListener('click', () => {
+            document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.toggle('active', btn === tabBtn));
+            document.querySelectorAll('.tab-content').forEach(tab => {
+                tab.style.display = tab.id === tabBtn.dataset.tab ? 'grid' : 'none';
+            });
+        });
+    });
+
+    // 批量导入：以纯文本上传文件内容，格式由服务器解析
+    document.getElementById('import-cache-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const file = document.getElementById('import-cache-file').files[0];
+        if (!file) return;
+        const format = document.getElementById('import-cache-format').value;
+        const query = format ? `?format=${format}` : '';
+        const result = await apiRequest(`/admin/api/cache/import${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+            body: await file.text(),
+        });
+        if (result) {
+            renderImportReport(result.report);
+            e.target.reset();
+            loadDashboardData();
+            loadCachePage();
+        }
+    });
+
+    function renderImportReport(report) {
+        const lines = [
+            `格式: ${report.format}，共 ${report.total} 行`,
+            `新增 ${report.added} 句，重复 ${report.duplicateCount} 句，无效 ${report.invalidCount} 行`,
+        ];
+        report.invalid.forEach(item => lines.push(`第 ${item.row} 行无效: ${item.reason}`));
+        report.duplicates.forEach(item => lines.push(`第 ${item.row} 行重复: ${item.sentence}`));
+        const omitted = report.invalidCount + report.duplicateCount - report.invalid.length - report.duplicates.length;
+        if (omitted > 0) lines.push(`…其余 ${omitted} 行未列出`);
+        const reportEl = document.getElementById('import-report');
+        reportEl.textContent = lines.join('\n');
+        reportEl.style.display = 'block';
+    }
+
+    // 待批准诗句事件
+    pendingListBody.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('pending-select')) return;
+        if (e.target.checked) {
+            selectedPending.add(e.target.dataset.sentence);
+        } else {
+            selectedPending.delete(e.target.dataset.sentence);
+        }
+    });
+
+    selectAllPending.addEventListener('change', () => {
+        pendingListBody.querySelectorAll('.pending-select').forEach(checkbox => {
+            checkbox.checked = selectAllPending.checked;
+            if (selectAllPending.checked) {
+                selectedPending.add(checkbox.dataset.sentence);
+            } else {
+                selectedPending.delete(checkbox.dataset.sentence);
+            }
+        });
+    });
+
+    async function moderateSelected(action) {
+        const sentences = [...selectedPending];
+        if (sentences.length === 0) {
+            alert('请先勾选诗句。');
+            return;
+        }
+        const result = await apiRequest(`/admin/api/pending/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sentences }),
+        });
+        if (result) {
+            selectedPending.clear();
+            loadDashboardData();
+            loadCachePage();
+        }
+    }
+
+    document.getElementById('approve-selected-btn').addEventListener('click', () => moderateSelected('approve'));
+    document.getElementById('reject-selected-btn').addEventListener('click', () => {
+        if (confirm(`确定要拒绝所选的 ${selectedPending.size} 句诗吗？`)) moderateSelected('reject');
+    });
+
+    document.getElementById('auto-promote-toggle').addEventListener('change', async () => {
+        const result = await apiRequest('/admin/api/pending/toggle-auto-promote', { method: 'POST' });
+        if (result) renderModeration(result.moderation);
+    });
+
+    // 待审核诗句事件
+    flaggedList.addEventListener('click', async (e) => {
+        const sentence = e.target.dataset.sentence;
+        if (!sentence) return;
+        let result = null;
+        if (e.target.classList.contains('keep-btn')) {
+            result = await apiRequest('/admin/api/cache/flags/dismiss', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sentence }),
+            });
+        } else if (e.target.classList.contains('delete-btn')) {
+            if (!confirm(`确定要从缓存中删除 "${sentence}" 吗？`)) return;
+            result = await apiRequest('/admin/api/cache/delete', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sentence }),
+            });
+        }
+        if (result) {
+            loadDashboardData();
+            loadCachePage();
+        }
+    });
+
+    // 古诗词库事件
+    document.getElementById('corpus-enabled-toggle').addEventListener('change', async () => {
+        const result = await apiRequest('/admin/api/corpus/toggle', { method: 'POST' });
+        if (result) renderCorpusInfo(result.corpus);
+    });
+
+    document.getElementById('corpus-reload-btn').addEventListener('click', async () => {
+        const result = await apiRequest('/admin/api/corpus/reload', { method: 'POST' });
+        if (result) {
+            renderCorpusInfo(result.corpus);
+            alert('词库已重新加载。');
+        }
+    });
+
+    // 屏蔽词事件
+    document.getElementById('banned-words-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const input = document.getElementById('banned-words-input');
+        const words = input.value.split('\n').map(w => w.trim()).filter(Boolean);
+        const result = await apiRequest('/admin/api/banned-words', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ words }),
+        });
+        if (result) {
+            input.blur();
+            renderBannedWords(result.bannedWords);
+        }
+    });
+
     // --- 初始加载 ---
     async function checkLoginStatus() {
         const response = await fetch('/admin/api/status');
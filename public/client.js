@@ -1,4 +1,4 @@
-const socket = io();
+const socket = io({ auth: { profileKey: getProfileKey() } });
 
 // --- 获取所有需要的DOM元素 ---
 const views = {
@@ -6,10 +6,21 @@ const views = {
     game: document.getElementById('game-container'),
     nickname: document.getElementById('nickname-modal'),
     roomNotFound: document.getElementById('room-not-found-container'),
+    leaderboard: document.getElementById('leaderboard-container'),
 };
 const lobbyElements = {
     roomList: document.getElementById('room-list'),
     createRoomBtn: document.getElementById('create-room-btn'),
+    leaderboardBtn: document.getElementById('leaderboard-btn'),
+    practiceBtn: document.getElementById('practice-btn'),
+    pastHistoryPanel: document.getElementById('past-history-panel'),
+    pastHistoryList: document.getElementById('past-history-list'),
+};
+const leaderboardElements = {
+    backBtn: document.getElementById('leaderboard-back-btn'),
+    sortSelect: document.getElementById('leaderboard-sort'),
+    myStats: document.getElementById('my-stats'),
+    body: document.getElementById('leaderboard-body'),
 };
 const nicknameElements = {
     form: document.getElementById('nickname-form'),
@@ -17,6 +28,14 @@ const nicknameElements = {
     error: document.getElementById('nickname-error'),
     title: document.getElementById('nickname-prompt-title'),
     cancelBtn: document.getElementById('cancel-nickname-btn'),
+    createOptions: document.getElementById('create-options-group'),
+    modeSelect: document.getElementById('mode-select'),
+    startCharInput: document.getElementById('create-start-char-input'),
+    createPasswordInput: document.getElementById('create-password-input'),
+    unlistedCheckbox: document.getElementById('create-unlisted-checkbox'),
+    roomOnlyOptions: document.getElementById('create-room-only-options'),
+    joinPasswordInput: document.getElementById('join-password-input'),
+    spectateBtn: document.getElementById('spectate-btn'),
 };
 const roomNotFoundElements = {
     invalidRoomId: document.getElementById('invalid-room-id'),
@@ -31,29 +50,112 @@ const gameElements = {
     input: document.getElementById('input'),
     submitAnswerBtn: document.getElementById('submit-answer-btn'),
     withdrawAnswerBtn: document.getElementById('withdraw-answer-btn'),
+    hintBtn: document.getElementById('hint-btn'),
+    chatForm: document.getElementById('chat-form'),
+    chatInput: document.getElementById('chat-input'),
     startCharSpan: document.getElementById('start-char'),
+    startCharLabel: document.getElementById('start-char-label'),
+    modeDisplay: document.getElementById('mode-display'),
+    feihuaSlots: document.getElementById('feihua-slots'),
     scoreBoard: document.getElementById('score-board'),
+    spectatorContainer: document.getElementById('spectator-container'),
+    spectatorList: document.getElementById('spectator-list'),
+    takeSeatBtn: document.getElementById('take-seat-btn'),
     gameStateSpan: document.getElementById('game-state'),
     queueList: document.getElementById('queue-list'),
     votePanel: document.getElementById('vote-panel'),
     charChoicePanel: document.getElementById('char-choice-panel'),
+    challengePanel: document.getElementById('challenge-panel'),
+    challengeAnswer: document.getElementById('challenge-answer'),
+    challengeTimer: document.getElementById('challenge-timer'),
+    challengeBtn: document.getElementById('challenge-btn'),
+    voteChallengeNote: document.getElementById('vote-challenge-note'),
     charButtonsContainer: document.getElementById('char-buttons'),
     globalToast: document.getElementById('global-toast'),
+    matchProgress: document.getElementById('match-progress'),
+    gameOverPanel: document.getElementById('game-over-panel'),
+    gameOverReason: document.getElementById('game-over-reason'),
+    standingsBody: document.getElementById('standings-body'),
+    rematchBtn: document.getElementById('rematch-btn'),
+    rematchWaiting: document.getElementById('rematch-waiting'),
+    standingsTable: document.getElementById('standings-table'),
+    practiceSummary: document.getElementById('practice-summary'),
+    endPracticeBtn: document.getElementById('end-practice-btn'),
+};
+const hostElements = {
+    container: document.getElementById('host-container'),
+    resetScoresBtn: document.getElementById('reset-scores-btn'),
+    skipVoteBtn: document.getElementById('skip-vote-btn'),
+    forceCharForm: document.getElementById('force-char-form'),
+    forceCharInput: document.getElementById('force-char-input'),
+    addBotForm: document.getElementById('add-bot-form'),
+    botLevelSelect: document.getElementById('bot-level-select'),
+};
+const settingsElements = {
+    form: document.getElementById('settings-form'),
+    voteDuration: document.getElementById('setting-vote-duration'),
+    choiceDuration: document.getElementById('setting-choice-duration'),
+    passThreshold: document.getElementById('setting-pass-threshold'),
+    startChar: document.getElementById('setting-start-char'),
+    usedLimit: document.getElementById('setting-used-limit'),
+    maxPlayers: document.getElementById('setting-max-players'),
+    hintCost: document.getElementById('setting-hint-cost'),
+    validators: document.getElementById('setting-validators'),
+    winCondition: document.getElementById('setting-win-condition'),
+    winTarget: document.getElementById('setting-win-target'),
+    saveBtn: document.getElementById('save-settings-btn'),
+    hint: document.getElementById('settings-hint'),
+};
+const poemElements = {
+    modal: document.getElementById('poem-modal'),
+    overlay: document.getElementById('poem-modal-overlay'),
+    title: document.getElementById('poem-title'),
+    meta: document.getElementById('poem-meta'),
+    body: document.getElementById('poem-body'),
+    closeBtn: document.getElementById('close-poem-btn'),
+};
+const historyElements = {
+    showBtn: document.getElementById('show-history-btn'),
+    modal: document.getElementById('history-modal'),
+    overlay: document.getElementById('history-modal-overlay'),
+    list: document.getElementById('history-list'),
+    jsonLink: document.getElementById('history-json-link'),
+    mdLink: document.getElementById('history-md-link'),
+    closeBtn: document.getElementById('close-history-btn'),
 };
 
 // --- 客户端状态变量 ---
 let currentAction = null;
 let targetRoomId = null;
 let targetRoomName = null;
+let targetRoomRequiresPassword = false;
 let voteTimerInterval = null;
 let choiceTimerInterval = null;
+let challengeTimerInterval = null;
+let matchTimerInterval = null;
 let myNickname = null;
+let isSpectator = false;
+let rejoiningAsSpectator = false;
+let spectatorRejoinError = null;
 let toastTimeout = null;
 
+const MODE_NAMES = {
+    classic: '自由接字',
+    chain: '首尾接龙',
+    feihua: '飞花令',
+};
+const BOT_LEVEL_NAMES = {
+    easy: '简单',
+    normal: '普通',
+    hard: '困难',
+};
+const FEIHUA_MAX_POSITION = 7;
+
 function resetClientState() {
     currentAction = null;
     targetRoomId = null;
     targetRoomName = null;
+    targetRoomRequiresPassword = false;
     myNickname = null;
     clearSession();
 }
@@ -97,42 +199,119 @@ function handleRouting() {
     if (match) {
         const roomId = match[1];
         const session = getSession(roomId);
-        if (session) {
+        if (session && session.spectator) {
+            // 观众不保留席位，刷新后直接重新观战
             myNickname = session.nickname;
-            socket.emit('reconnectPlayer', session);
+            isSpectator = true;
+            rejoiningAsSpectator = true;
+            socket.emit('joinRoom', {
+                roomId,
+                nickname: session.nickname,
+                asSpectator: true,
+                password: getSpectatorPassword(roomId),
+            });
+            showView('game');
+        } else if (session) {
+            myNickname = session.nickname;
+            isSpectator = false;
+            socket.emit('reconnectPlayer', {
+                roomId,
+                nickname: session.nickname,
+                token: getToken(roomId, session.nickname),
+            });
             showView('game');
         } else {
             socket.emit('validateRoom', roomId);
         }
+    } else if (path === '/leaderboard') {
+        showView('leaderboard');
+        loadLeaderboard();
     } else {
         showView('lobby');
         socket.emit('getRooms');
+        renderPastHistories();
     }
 }
 
 // ======================================================
 // ========= 会话管理 (Session Management) ==============
 // ======================================================
-function saveSession(roomId, nickname) {
+// 会话与凭证都保存在 localStorage 中，关闭标签页后仍可重连
+function saveSession(roomId, nickname, spectator = false) {
     myNickname = nickname;
-    sessionStorage.setItem('poetryGameSession', JSON.stringify({ roomId, nickname }));
+    isSpectator = spectator;
+    localStorage.setItem('poetryGameSession', JSON.stringify({ roomId, nickname, spectator }));
 }
 function getSession(roomId) {
-    const sessionStr = sessionStorage.getItem('poetryGameSession');
+    const sessionStr = localStorage.getItem('poetryGameSession');
     if (!sessionStr) return null;
     const session = JSON.parse(sessionStr);
-    return session.roomId === roomId ? session : null;
+    return !roomId || session.roomId === roomId ? session : null;
 }
 function clearSession() {
     myNickname = null;
-    sessionStorage.removeItem('poetryGameSession');
+    isSpectator = false;
+    localStorage.removeItem('poetryGameSession');
+    sessionStorage.removeItem('poetryGameSpectatorPassword');
+}
+
+// 观众没有重连凭证，刷新后要凭房间密码重新观战；密码只在当前标签页的会话中保留
+function saveSpectatorPassword(roomId, password) {
+    sessionStorage.setItem('poetryGameSpectatorPassword', JSON.stringify({ roomId, password }));
+}
+function getSpectatorPassword(roomId) {
+    const saved = JSON.parse(sessionStorage.getItem('poetryGameSpectatorPassword') || 'null');
+    return saved && saved.roomId === roomId ? saved.password : '';
+}
+
+// 重连凭证按 "房间:昵称" 保存，离开房间后仍保留，以便重新进入永久房间
+function getTokens() {
+    return JSON.parse(localStorage.getItem('poetryGameTokens') || '{}');
+}
+function saveToken(roomId, nickname, token) {
+    const tokens = getTokens();
+    tokens[`${roomId}:${nickname}`] = token;
+    localStorage.setItem('poetryGameTokens', JSON.stringify(tokens));
+}
+function getToken(roomId, nickname) {
+    return getTokens()[`${roomId}:${nickname}`] || null;
+}
+
+// 参与过的接龙记录 (最近的在前)，房间解散后仍可在大厅查看
+const PAST_HISTORY_LIMIT = 20;
+function getPastHistories() {
+    return JSON.parse(localStorage.getItem('poetryGameHistories') || '[]');
+}
+function rememberHistory(historyId, roomName) {
+    const histories = getPastHistories();
+    if (histories[0] && histories[0].historyId === historyId) return;
+    const updated = [{ historyId, roomName, savedAt: Date.now() }, ...histories.filter(h => h.historyId !== historyId)];
+    localStorage.setItem('poetryGameHistories', JSON.stringify(updated.slice(0, PAST_HISTORY_LIMIT)));
+}
+function forgetHistory(historyId) {
+    const histories = getPastHistories().filter(h => h.historyId !== historyId);
+    localStorage.setItem('poetryGameHistories', JSON.stringify(histories));
+}
+
+// 玩家档案密钥只在本地生成一次，服务器据此跨房间累计个人数据
+function getProfileKey() {
+    let profileKey = localStorage.getItem('poetryGameProfile');
+    if (!profileKey) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        profileKey = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('poetryGameProfile', profileKey);
+    }
+    return profileKey;
 }
 
 // ======================================================
 // ========= 统一的UI渲染函数 ==========================
 // ======================================================
 function renderGame(state) {
-    if (state.players && myNickname && !state.players[myNickname]) {
+    const isMember = isSpectator
+        ? (state.spectators || []).includes(myNickname)
+        : state.players && state.players[myNickname];
+    if (state.players && myNickname && !isMember) {
         resetClientState();
         history.pushState(null, '', '/');
         handleRouting();
@@ -141,28 +320,50 @@ function renderGame(state) {
     }
     
     gameElements.messages.innerHTML = '';
-    if (state.messages) {
-        state.messages.forEach(msg => {
-            appendMessage(msg);
-        });
-    }
+    // 系统消息与聊天消息分开保存，显示时按时间合并
+    const allMessages = [...(state.messages || []), ...(state.chatMessages || [])]
+        .sort((a, b) => a.timestamp - b.timestamp);
+    allMessages.forEach(msg => {
+        appendMessage(msg);
+    });
     gameElements.messages.scrollTop = gameElements.messages.scrollHeight;
 
     gameElements.scoreBoard.innerHTML = '';
+    const isHost = state.host === myNickname;
     if (state.players) {
         for (const [playerId, playerData] of Object.entries(state.players)) {
             const li = document.createElement('li');
             const onlineStatus = playerData.online ? '' : ' (离线)';
-            li.textContent = `${playerData.nickname}: ${playerData.score} 分${onlineStatus}`;
+            const hostMark = playerData.nickname === state.host ? '👑 ' : '';
+            const botMark = playerData.isBot ? '🤖 ' : '';
+            const botLevel = playerData.isBot ? ` [${BOT_LEVEL_NAMES[playerData.botLevel] || '机器人'}]` : '';
+            li.textContent = `${hostMark}${botMark}${playerData.nickname}${botLevel}: ${playerData.score} 分${onlineStatus}`;
             if (playerData.nickname === myNickname) {
                 li.style.fontWeight = 'bold';
-                li.textContent = `${playerData.nickname} (你): ${playerData.score} 分${onlineStatus}`;
+                li.textContent = `${hostMark}${playerData.nickname} (你): ${playerData.score} 分${onlineStatus}`;
+            } else if (isHost) {
+                li.appendChild(createHostPlayerActions(playerData));
             }
             gameElements.scoreBoard.appendChild(li);
         }
     }
+    renderSpectators(state);
+    hostElements.container.style.display = isHost ? 'block' : 'none';
+    hostElements.skipVoteBtn.disabled = !state.currentVote;
+    hostElements.addBotForm.style.display = state.practice ? 'none' : 'flex';
 
+    gameElements.modeDisplay.textContent = MODE_NAMES[state.mode] || MODE_NAMES.classic;
+    if (state.mode === 'chain') {
+        gameElements.startCharLabel.textContent = '须以此字开头';
+    } else if (state.mode === 'feihua') {
+        gameElements.startCharLabel.textContent = `飞花令 (第 ${state.feihuaPosition} 字)`;
+    } else {
+        gameElements.startCharLabel.textContent = '须包含此字';
+    }
     gameElements.startCharSpan.textContent = state.currentStartChar || '?';
+    renderFeihuaSlots(state);
+    renderSettings(state);
+    renderMatch(state, isHost);
     gameElements.gameStateSpan.textContent = state.gameStateMessage || '连接中...';
 
     const queue = state.queue || [];
@@ -174,7 +375,20 @@ function renderGame(state) {
     });
 
     const hasSubmittedAnswer = queue.some(sub => sub.nickname === myNickname);
-    if (state.isChoosingChar) {
+    const matchEnded = state.match && state.match.ended;
+    if (isSpectator) {
+        gameElements.input.disabled = true;
+        gameElements.input.value = '';
+        gameElements.input.placeholder = '观战中，入座后才能作答';
+        gameElements.submitAnswerBtn.style.display = 'block';
+        gameElements.withdrawAnswerBtn.style.display = 'none';
+    } else if (matchEnded) {
+        gameElements.input.disabled = true;
+        gameElements.input.value = '';
+        gameElements.input.placeholder = '本局已结束';
+        gameElements.submitAnswerBtn.style.display = 'block';
+        gameElements.withdrawAnswerBtn.style.display = 'none';
+    } else if (state.isChoosingChar) {
         gameElements.input.disabled = true;
         gameElements.input.value = '';
         gameElements.input.placeholder = '等待胜利者选择新字...';
@@ -197,6 +411,10 @@ function renderGame(state) {
         gameElements.submitAnswerBtn.style.display = 'block';
         gameElements.withdrawAnswerBtn.style.display = 'none';
     }
+    // 只有能作答时才能求助提示
+    const hintCost = state.settings ? state.settings.hintCost : 0;
+    gameElements.hintBtn.style.display = gameElements.input.disabled ? 'none' : 'block';
+    gameElements.hintBtn.textContent = hintCost > 0 ? `💡 提示 (-${hintCost}分)` : '💡 提示';
 
     const votePanel = gameElements.votePanel;
     clearInterval(voteTimerInterval);
@@ -206,6 +424,12 @@ function renderGame(state) {
         const { submission, voters } = state.currentVote;
         const voteContent = votePanel.querySelector('.vote-content');
         const voteWaiting = votePanel.querySelector('.vote-waiting');
+        if (state.currentVote.challenger) {
+            gameElements.voteChallengeNote.textContent = `⚖️ 【${state.currentVote.challenger}】对这句诗提出了质疑`;
+            gameElements.voteChallengeNote.style.display = 'block';
+        } else {
+            gameElements.voteChallengeNote.style.display = 'none';
+        }
         
         if (myNickname === submission.nickname) {
             voteContent.style.display = 'none';
@@ -284,6 +508,218 @@ function renderGame(state) {
     } else {
         choicePanel.style.display = 'none';
     }
+    renderChallenge(state);
+}
+
+// 其他玩家可在下一轮开始前质疑命中缓存的诗句
+function renderChallenge(state) {
+    clearInterval(challengeTimerInterval);
+    const { challenge } = state;
+    if (!challenge || isSpectator || challenge.nickname === myNickname) {
+        gameElements.challengePanel.style.display = 'none';
+        return;
+    }
+    gameElements.challengeAnswer.textContent = challenge.answer;
+    const updateTimer = () => {
+        const remainingSeconds = Math.max(0, Math.round((challenge.deadline - Date.now()) / 1000));
+        gameElements.challengeTimer.textContent = remainingSeconds;
+        if (remainingSeconds <= 0) {
+            clearInterval(challengeTimerInterval);
+            gameElements.challengePanel.style.display = 'none';
+        }
+    };
+    gameElements.challengePanel.style.display = 'block';
+    updateTimer();
+    challengeTimerInterval = setInterval(updateTimer, 1000);
+}
+
+// 昵称框中的房间选项仅在创建房间时显示 (单人练习不需要密码与隐藏选项)，密码框仅在加入有密码的房间时显示
+function showNicknameModal(title) {
+    const isCreating = ['create_random', 'create_from_url', 'create_practice'].includes(currentAction);
+    const needsPassword = currentAction === 'join' && targetRoomRequiresPassword;
+    nicknameElements.title.textContent = title;
+    nicknameElements.error.textContent = '';
+    nicknameElements.createOptions.style.display = isCreating ? 'block' : 'none';
+    nicknameElements.roomOnlyOptions.style.display = currentAction === 'create_practice' ? 'none' : 'block';
+    nicknameElements.joinPasswordInput.style.display = needsPassword ? 'block' : 'none';
+    nicknameElements.joinPasswordInput.value = '';
+    nicknameElements.spectateBtn.style.display = currentAction === 'join' ? 'block' : 'none';
+    showView('nickname');
+    nicknameElements.input.focus();
+}
+
+// 飞花令模式下用一排格子标出关键字须出现的位置
+function renderFeihuaSlots(state) {
+    const slots = gameElements.feihuaSlots;
+    slots.innerHTML = '';
+    if (state.mode !== 'feihua' || !state.feihuaPosition) {
+        slots.style.display = 'none';
+        return;
+    }
+    for (let i = 1; i <= FEIHUA_MAX_POSITION; i++) {
+        const slot = document.createElement('span');
+        slot.className = 'feihua-slot';
+        if (i === state.feihuaPosition) {
+            slot.classList.add('target');
+            slot.textContent = state.currentStartChar;
+        }
+        slots.appendChild(slot);
+    }
+    slots.style.display = 'inline-flex';
+}
+
+// 对局进度与结束后的成绩单
+function renderMatch(state, isHost) {
+    const { match, settings } = state;
+    clearInterval(matchTimerInterval);
+    if (!match || !settings) return;
+
+    const progress = gameElements.matchProgress;
+    gameElements.endPracticeBtn.style.display = state.practice && !match.ended ? 'block' : 'none';
+    if (state.practice && !match.ended) {
+        progress.style.display = 'block';
+        progress.textContent = `🎯 已答 ${state.practice.answered} 句 · 连续 ${state.practice.streak} 句` +
+            (state.practice.pendingCount > 0 ? ` · 待确认 ${state.practice.pendingCount} 句` : '');
+    } else if (match.ended || settings.winCondition === 'none') {
+        progress.style.display = 'none';
+    } else {
+        progress.style.display = 'block';
+        if (settings.winCondition === 'score') {
+            progress.textContent = `胜利条件: 先得 ${settings.winTarget} 分`;
+        } else if (settings.winCondition === 'rounds') {
+            progress.textContent = `进度: 第 ${match.roundsPlayed + 1} / ${settings.winTarget} 轮`;
+        } else if (settings.winCondition === 'time' && match.endsAt) {
+            const updateTimer = () => {
+                const remainingSeconds = Math.max(0, Math.round((match.endsAt - Date.now()) / 1000));
+                const minutes = String(Math.floor(remainingSeconds / 60)).padStart(2, '0');
+                const seconds = String(remainingSeconds % 60).padStart(2, '0');
+                progress.textContent = `剩余时间: ${minutes}:${seconds}`;
+                if (remainingSeconds <= 0) {
+                    clearInterval(matchTimerInterval);
+                }
+            };
+            updateTimer();
+            matchTimerInterval = setInterval(updateTimer, 1000);
+        }
+    }
+
+    if (!match.ended) {
+        gameElements.gameOverPanel.style.display = 'none';
+        return;
+    }
+    gameElements.gameOverReason.textContent = match.reason || '';
+    renderPracticeSummary(match.practiceSummary);
+    gameElements.standingsTable.style.display = match.practiceSummary ? 'none' : 'table';
+    gameElements.rematchBtn.textContent = match.practiceSummary ? '再练一次' : '再来一局';
+    gameElements.standingsBody.innerHTML = '';
+    (match.standings || []).forEach((entry, index) => {
+        const tr = document.createElement('tr');
+        if (entry.nickname === myNickname) tr.className = 'me';
+        [index + 1, entry.nickname, entry.score, entry.accepted, entry.rejected].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        gameElements.standingsBody.appendChild(tr);
+    });
+    gameElements.rematchBtn.style.display = isHost ? 'inline-block' : 'none';
+    gameElements.rematchWaiting.style.display = isHost ? 'none' : 'block';
+    gameElements.gameOverPanel.style.display = 'block';
+}
+
+// 单人练习结束后的成绩小结
+function renderPracticeSummary(summary) {
+    const list = gameElements.practiceSummary;
+    list.innerHTML = '';
+    if (!summary) {
+        list.style.display = 'none';
+        return;
+    }
+    const minutes = Math.floor(summary.durationSeconds / 60);
+    const rows = [
+        `答出诗句: ${summary.answered} 句`,
+        `最长连续: ${summary.bestStreak} 句`,
+        `平均用时: ${summary.averageSeconds !== null ? `${summary.averageSeconds} 秒` : '-'}`,
+        `最快一句: ${summary.fastestSeconds !== null ? `${summary.fastestSeconds} 秒` : '-'}`,
+        `练习时长: ${minutes > 0 ? `${minutes} 分 ` : ''}${summary.durationSeconds % 60} 秒`,
+        `掌握的字: ${summary.masteredChars.length > 0 ? summary.masteredChars.join(' ') : '-'}`,
+        `待确认的句子: ${summary.pending.length > 0 ? summary.pending.join('、') : '无'}`,
+    ];
+    rows.forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+    });
+    list.style.display = 'block';
+}
+
+// 观众列表，以及有空位时的入座按钮
+function renderSpectators(state) {
+    const spectators = state.spectators || [];
+    gameElements.spectatorList.innerHTML = '';
+    spectators.forEach(nickname => {
+        const li = document.createElement('li');
+        li.textContent = nickname === myNickname ? `${nickname} (你)` : nickname;
+        gameElements.spectatorList.appendChild(li);
+    });
+    gameElements.spectatorContainer.style.display = spectators.length > 0 ? 'block' : 'none';
+
+    const playerCount = Object.keys(state.players || {}).length;
+    const hasFreeSeat = state.settings && playerCount < state.settings.maxPlayers;
+    gameElements.takeSeatBtn.style.display = isSpectator && hasFreeSeat ? 'block' : 'none';
+}
+
+// 房主在分数榜上对其他玩家的操作按钮
+function createHostPlayerActions(playerData) {
+    const actions = document.createElement('span');
+    actions.className = 'host-player-actions';
+
+    const kickBtn = document.createElement('button');
+    kickBtn.textContent = '踢出';
+    kickBtn.addEventListener('click', () => {
+        if (confirm(`确定要将玩家【${playerData.nickname}】移出房间吗？`)) {
+            socket.emit('kickPlayer', playerData.nickname);
+        }
+    });
+    actions.appendChild(kickBtn);
+
+    if (playerData.online && !playerData.isBot) {
+        const transferBtn = document.createElement('button');
+        transferBtn.textContent = '设为房主';
+        transferBtn.addEventListener('click', () => {
+            if (confirm(`确定要将房主身份移交给【${playerData.nickname}】吗？`)) {
+                socket.emit('transferHost', playerData.nickname);
+            }
+        });
+        actions.appendChild(transferBtn);
+    }
+    return actions;
+}
+
+// 房间设置面板：仅房主可编辑
+function renderSettings(state) {
+    if (!state.settings) return;
+    const isHost = state.host === myNickname;
+    const isEditing = settingsElements.form.contains(document.activeElement);
+    if (!isEditing) {
+        settingsElements.voteDuration.value = state.settings.voteDuration;
+        settingsElements.choiceDuration.value = state.settings.choiceDuration;
+        settingsElements.passThreshold.value = state.settings.passThreshold;
+        settingsElements.startChar.value = state.settings.startChar;
+        settingsElements.usedLimit.value = state.settings.usedSentencesLimit;
+        settingsElements.maxPlayers.value = state.settings.maxPlayers;
+        settingsElements.hintCost.value = state.settings.hintCost;
+        settingsElements.validators.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = state.settings.validators.includes(checkbox.value);
+        });
+        settingsElements.winCondition.value = state.settings.winCondition;
+        settingsElements.winTarget.value = state.settings.winTarget;
+    }
+    settingsElements.form.querySelectorAll('input, select').forEach(el => {
+        el.disabled = !isHost;
+    });
+    settingsElements.saveBtn.style.display = isHost ? 'block' : 'none';
+    settingsElements.hint.textContent = isHost ? '' : `仅房主【${state.host}】可修改`;
 }
 
 // ======================================================
@@ -291,23 +727,53 @@ function renderGame(state) {
 // ======================================================
 lobbyElements.createRoomBtn.addEventListener('click', () => {
     currentAction = 'create_random';
-    nicknameElements.title.textContent = '创建新房间';
-    nicknameElements.error.textContent = ''; 
-    showView('nickname');
-    nicknameElements.input.focus();
+    showNicknameModal('创建新房间');
+});
+
+lobbyElements.practiceBtn.addEventListener('click', () => {
+    currentAction = 'create_practice';
+    showNicknameModal('单人练习');
 });
 
 nicknameElements.form.addEventListener('submit', (e) => {
     e.preventDefault();
     const nickname = nicknameElements.input.value.trim();
     if (!nickname) return;
+    const createOptions = {
+        nickname: nickname,
+        mode: nicknameElements.modeSelect.value,
+        settings: { startChar: nicknameElements.startCharInput.value.trim() },
+        password: nicknameElements.createPasswordInput.value,
+        isUnlisted: nicknameElements.unlistedCheckbox.checked,
+    };
     if (currentAction === 'create_random') {
-        socket.emit('createRoom', { nickname: nickname });
+        socket.emit('createRoom', createOptions);
     } else if (currentAction === 'create_from_url') {
-        socket.emit('createRoom', { roomName: targetRoomName, nickname: nickname });
+        socket.emit('createRoom', { ...createOptions, roomName: targetRoomName });
+    } else if (currentAction === 'create_practice') {
+        socket.emit('createRoom', { ...createOptions, practice: true });
     } else if (currentAction === 'join') {
-        socket.emit('joinRoom', { roomId: targetRoomId, nickname: nickname });
+        socket.emit('joinRoom', {
+            roomId: targetRoomId,
+            nickname: nickname,
+            password: nicknameElements.joinPasswordInput.value,
+            token: getToken(targetRoomId, nickname),
+        });
+    }
+});
+
+nicknameElements.spectateBtn.addEventListener('click', () => {
+    const nickname = nicknameElements.input.value.trim();
+    if (!nickname) {
+        nicknameElements.error.textContent = '请先输入昵称。';
+        return;
     }
+    socket.emit('joinRoom', {
+        roomId: targetRoomId,
+        nickname: nickname,
+        asSpectator: true,
+        password: nicknameElements.joinPasswordInput.value,
+    });
 });
 
 nicknameElements.cancelBtn.addEventListener('click', () => {
@@ -324,9 +790,7 @@ roomNotFoundElements.goToLobbyBtn.addEventListener('click', () => {
 roomNotFoundElements.createThisRoomBtn.addEventListener('click', () => {
     currentAction = 'create_from_url';
     targetRoomName = roomNotFoundElements.invalidRoomId.textContent;
-    nicknameElements.title.textContent = `创建房间: ${targetRoomName}`;
-    showView('nickname');
-    nicknameElements.input.focus();
+    showNicknameModal(`创建房间: ${targetRoomName}`);
 });
 
 gameElements.leaveBtn.addEventListener('click', () => {
@@ -344,10 +808,80 @@ gameElements.form.addEventListener('submit', function (e) {
     }
 });
 
+gameElements.chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = gameElements.chatInput.value.trim();
+    if (text) {
+        socket.emit('chatMessage', text);
+        gameElements.chatInput.value = '';
+    }
+});
+
+gameElements.challengeBtn.addEventListener('click', () => {
+    socket.emit('challengeAnswer');
+    gameElements.challengePanel.style.display = 'none';
+});
+
 gameElements.withdrawAnswerBtn.addEventListener('click', () => {
     socket.emit('withdrawAnswer');
 });
 
+gameElements.hintBtn.addEventListener('click', () => {
+    socket.emit('requestHint');
+});
+
+gameElements.rematchBtn.addEventListener('click', () => {
+    socket.emit('rematch');
+});
+
+gameElements.endPracticeBtn.addEventListener('click', () => {
+    socket.emit('endPractice');
+});
+
+gameElements.takeSeatBtn.addEventListener('click', () => {
+    socket.emit('takeSeat');
+});
+
+hostElements.resetScoresBtn.addEventListener('click', () => {
+    if (confirm('确定要将所有玩家的分数清零吗？')) {
+        socket.emit('resetScores');
+    }
+});
+
+hostElements.skipVoteBtn.addEventListener('click', () => {
+    socket.emit('skipVote');
+});
+
+hostElements.addBotForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    socket.emit('addBot', hostElements.botLevelSelect.value);
+});
+
+hostElements.forceCharForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const char = hostElements.forceCharInput.value.trim();
+    if (!char) return;
+    socket.emit('forceStartChar', char);
+    hostElements.forceCharInput.value = '';
+});
+
+settingsElements.form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    socket.emit('updateRoomSettings', {
+        voteDuration: Number(settingsElements.voteDuration.value),
+        choiceDuration: Number(settingsElements.choiceDuration.value),
+        passThreshold: settingsElements.passThreshold.value,
+        startChar: settingsElements.startChar.value.trim(),
+        usedSentencesLimit: Number(settingsElements.usedLimit.value),
+        maxPlayers: Number(settingsElements.maxPlayers.value),
+        hintCost: Number(settingsElements.hintCost.value),
+        validators: [...settingsElements.validators.querySelectorAll('input:checked')].map(checkbox => checkbox.value),
+        winCondition: settingsElements.winCondition.value,
+        winTarget: Number(settingsElements.winTarget.value),
+    });
+    document.activeElement.blur();
+});
+
 // ======================================================
 // ========= Socket 事件处理 ============================
 // ======================================================
@@ -363,20 +897,19 @@ socket.on('roomListUpdate', (rooms) => {
             const li = document.createElement('li');
             const nameSpan = document.createElement('span');
             nameSpan.className = 'room-name';
-            nameSpan.textContent = room.name;
+            nameSpan.textContent = room.hasPassword ? `🔒 ${room.name}` : room.name;
             const playersSpan = document.createElement('span');
             playersSpan.className = 'room-players';
-            playersSpan.textContent = `(${room.playerCount}/8)`;
+            const spectatorText = room.spectatorCount > 0 ? ` · ${room.spectatorCount} 人观战` : '';
+            playersSpan.textContent = `${MODE_NAMES[room.mode] || MODE_NAMES.classic} (${room.playerCount}/${room.maxPlayers})${spectatorText}`;
             const joinBtn = document.createElement('button');
             joinBtn.className = 'join-room-btn';
             joinBtn.textContent = '加入';
             joinBtn.addEventListener('click', () => {
                 currentAction = 'join';
                 targetRoomId = room.id;
-                nicknameElements.title.textContent = `加入房间: ${room.name}`;
-                nicknameElements.error.textContent = '';
-                showView('nickname');
-                nicknameElements.input.focus();
+                targetRoomRequiresPassword = room.hasPassword;
+                showNicknameModal(`加入房间: ${room.name}`);
             });
             li.appendChild(nameSpan);
             li.appendChild(playersSpan);
@@ -386,14 +919,17 @@ socket.on('roomListUpdate', (rooms) => {
     }
 });
 
-socket.on('roomValidationResult', ({ exists, roomName, roomId }) => {
+socket.on('roomValidationResult', ({ exists, roomName, roomId, requiresPassword }) => {
     if (exists) {
         currentAction = 'join';
         targetRoomId = roomId;
-        nicknameElements.title.textContent = `加入房间: ${roomName}`;
-        nicknameElements.error.textContent = '';
-        showView('nickname');
-        nicknameElements.input.focus();
+        targetRoomRequiresPassword = !!requiresPassword;
+        showNicknameModal(`加入房间: ${roomName}`);
+        if (spectatorRejoinError) {
+            nicknameElements.input.value = myNickname || '';
+            nicknameElements.error.textContent = spectatorRejoinError;
+            spectatorRejoinError = null;
+        }
     } else {
         const path = window.location.pathname;
         const match = path.match(/^\/room\/([a-zA-Z0-9]+)$/);
@@ -402,9 +938,14 @@ socket.on('roomValidationResult', ({ exists, roomName, roomId }) => {
     }
 });
 
-socket.on('joinSuccess', ({ roomId, roomName }) => {
+socket.on('joinSuccess', ({ roomId, roomName, spectator, token }) => {
+    rejoiningAsSpectator = false;
     if (currentAction) {
-        saveSession(roomId, nicknameElements.input.value.trim());
+        saveSession(roomId, nicknameElements.input.value.trim(), !!spectator);
+        if (spectator) saveSpectatorPassword(roomId, nicknameElements.joinPasswordInput.value);
+    }
+    if (token) {
+        saveToken(roomId, myNickname, token);
     }
     history.pushState({ roomId: roomId }, `Room ${roomName}`, `/room/${roomId}`);
     showView('game');
@@ -412,13 +953,29 @@ socket.on('joinSuccess', ({ roomId, roomName }) => {
     currentAction = null;
 });
 
+socket.on('seatTaken', ({ token }) => {
+    const session = getSession();
+    if (session) {
+        saveSession(session.roomId, session.nickname, false);
+        saveToken(session.roomId, session.nickname, token);
+    }
+    showGlobalToast('你已入座，可以开始作答了');
+});
+
 socket.on('joinError', (errorMsg) => {
+    if (rejoiningAsSpectator) {
+        // 刷新后自动重新观战失败 (如密码已更改)，回到加入房间的提示框，而不是停留在空白的游戏界面
+        rejoiningAsSpectator = false;
+        spectatorRejoinError = errorMsg;
+        socket.emit('validateRoom', getSession().roomId);
+        return;
+    }
     nicknameElements.error.textContent = errorMsg;
 });
 
 socket.on('reconnectError', (errorMsg) => {
     console.error(`Reconnect failed: ${errorMsg}`);
-    const session = JSON.parse(sessionStorage.getItem('poetryGameSession'));
+    const session = getSession();
     if (session) {
         roomNotFoundElements.invalidRoomId.textContent = session.roomId;
     }
@@ -430,16 +987,273 @@ function appendMessage(msg) {
     const item = document.createElement('li');
     item.className = msg.className || 'game-message';
     item.textContent = msg.content;
+    if (msg.className === 'chat-message') {
+        const sender = document.createElement('span');
+        sender.className = 'chat-sender';
+        sender.textContent = msg.spectator ? `${msg.nickname} (观众)` : msg.nickname;
+        item.prepend(sender);
+        if (msg.nickname === myNickname) item.classList.add('mine');
+    }
+    if (msg.source) {
+        const { prevLine, line, nextLine } = msg.source;
+        const context = document.createElement('span');
+        context.className = 'source-context';
+        context.textContent = [prevLine, line, nextLine].filter(Boolean).join('，');
+        item.appendChild(context);
+        item.title = '点击查看全诗';
+        item.addEventListener('click', () => showPoemPanel(msg.source));
+    }
     gameElements.messages.appendChild(item);
     gameElements.messages.scrollTop = gameElements.messages.scrollHeight;
 }
 
+// --- 诗词出处面板 ---
+function showPoemPanel(source) {
+    poemElements.title.textContent = `《${source.title}》`;
+    poemElements.meta.textContent = source.dynasty ? `[${source.dynasty}] ${source.author}` : source.author;
+    poemElements.body.innerHTML = '';
+    source.paragraphs.forEach(paragraph => {
+        const p = document.createElement('p');
+        const index = paragraph.indexOf(source.line);
+        if (index > -1) {
+            const mark = document.createElement('mark');
+            mark.textContent = source.line;
+            p.append(paragraph.slice(0, index), mark, paragraph.slice(index + source.line.length));
+        } else {
+            p.textContent = paragraph;
+        }
+        poemElements.body.appendChild(p);
+    });
+    poemElements.modal.style.display = 'flex';
+}
+
+function hidePoemPanel() {
+    poemElements.modal.style.display = 'none';
+}
+
+poemElements.closeBtn.addEventListener('click', hidePoemPanel);
+poemElements.overlay.addEventListener('click', hidePoemPanel);
+
+// --- 接龙记录面板 ---
+const VALIDATION_LABELS = {
+    cache: '缓存命中',
+    corpus: '词库确认',
+    vote: '投票通过',
+};
+
+// 面板中正在查看的记录：在房间内查看本房间时为 null，在大厅查看往期接龙时为其历史记录ID
+let viewedHistoryId = null;
+let viewedHistoryRoomId = null;
+
+function getHistoryUrl(format, download = false) {
+    const base = viewedHistoryId
+        ? `/api/history/${encodeURIComponent(viewedHistoryId)}`
+        : `/api/rooms/${encodeURIComponent(getSession().roomId)}/history`;
+    return `${base}.${format}${download ? '?download=1' : ''}`;
+}
+
+// 有密码的房间需附带重连凭证才能读取记录；凭证放在请求头中，不会出现在链接和访问日志里。
+// 往期接龙凭历史记录ID访问，不需要凭证
+function fetchHistory(format, download = false) {
+    const headers = {};
+    if (!viewedHistoryId && !isSpectator && myNickname) {
+        headers['X-Player-Nickname'] = encodeURIComponent(myNickname);
+        headers['X-Player-Token'] = getToken(getSession().roomId, myNickname) || '';
+    }
+    return fetch(getHistoryUrl(format, download), { headers: headers });
+}
+
+// 导出链接不能附带请求头，改为带凭证下载后再交给浏览器保存
+async function downloadHistory(event, format) {
+    event.preventDefault();
+    try {
+        const response = await fetchHistory(format, true);
+        if (!response.ok) {
+            showGlobalToast((await response.json()).message || '无法导出接龙记录');
+            return;
+        }
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `poem-chain-${viewedHistoryRoomId}.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('导出接龙记录失败:', error);
+        showGlobalToast('导出接龙记录失败');
+    }
+}
+
+function describeValidation(entry) {
+    if (!entry.votes) return VALIDATION_LABELS[entry.validatedBy] || entry.validatedBy;
+    const { valid, invalid } = entry.votes;
+    return valid + invalid === 0 ? '无人投票，自动通过' : `投票通过 (${valid}:${invalid})`;
+}
+
+function renderHistory(entries) {
+    historyElements.list.innerHTML = '';
+    if (entries.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'no-history';
+        li.textContent = '还没有被确认的诗句。';
+        historyElements.list.appendChild(li);
+        return;
+    }
+    let currentMatchStart = null;
+    entries.forEach(entry => {
+        if (entry.matchStart !== currentMatchStart) {
+            currentMatchStart = entry.matchStart;
+            const divider = document.createElement('li');
+            divider.className = 'match-divider';
+            divider.textContent = `${new Date(entry.matchStart).toLocaleString()} 开局`;
+            historyElements.list.appendChild(divider);
+        }
+        const li = document.createElement('li');
+        const answer = document.createElement('span');
+        answer.className = 'history-answer';
+        answer.textContent = entry.answer;
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        const source = entry.source ? `${entry.source.author}《${entry.source.title}》 · ` : '';
+        const time = new Date(entry.timestamp).toLocaleTimeString();
+        meta.textContent = `${source}${entry.nickname} · 起始字「${entry.startChar}」 · ${describeValidation(entry)} · ${time}`;
+        li.append(answer, meta);
+        historyElements.list.appendChild(li);
+    });
+}
+
+async function showHistoryPanel(historyId = null) {
+    viewedHistoryId = historyId;
+    try {
+        const response = await fetchHistory('json');
+        const data = await response.json();
+        if (!response.ok) {
+            if (historyId && response.status === 404) {
+                // 记录已过保留期被删除
+                forgetHistory(historyId);
+                renderPastHistories();
+            }
+            showGlobalToast(data.message || '无法加载接龙记录');
+            return;
+        }
+        viewedHistoryRoomId = data.roomId;
+        renderHistory(data.entries);
+        historyElements.jsonLink.href = getHistoryUrl('json', true);
+        historyElements.mdLink.href = getHistoryUrl('md', true);
+        historyElements.modal.style.display = 'flex';
+    } catch (error) {
+        console.error('加载接龙记录失败:', error);
+        showGlobalToast('加载接龙记录失败');
+    }
+}
+
+function hideHistoryPanel() {
+    historyElements.modal.style.display = 'none';
+}
+
+function renderPastHistories() {
+    const histories = getPastHistories();
+    lobbyElements.pastHistoryPanel.style.display = histories.length > 0 ? 'block' : 'none';
+    lobbyElements.pastHistoryList.innerHTML = '';
+    histories.forEach(({ historyId, roomName, savedAt }) => {
+        const li = document.createElement('li');
+        li.textContent = roomName;
+        const time = document.createElement('span');
+        time.className = 'past-history-time';
+        time.textContent = new Date(savedAt).toLocaleString();
+        li.appendChild(time);
+        li.addEventListener('click', () => showHistoryPanel(historyId));
+        lobbyElements.pastHistoryList.appendChild(li);
+    });
+}
+
+historyElements.showBtn.addEventListener('click', () => showHistoryPanel());
+historyElements.closeBtn.addEventListener('click', hideHistoryPanel);
+historyElements.jsonLink.addEventListener('click', event => downloadHistory(event, 'json'));
+historyElements.mdLink.addEventListener('click', event => downloadHistory(event, 'md'));
+historyElements.overlay.addEventListener('click', hideHistoryPanel);
+
+// ======================================================
+// ========= 排行榜 ====================================
+// ======================================================
+function formatAccuracy(voteAccuracy) {
+    return voteAccuracy === null ? '-' : `${voteAccuracy}%`;
+}
+
+async function loadLeaderboard() {
+    socket.emit('getMyStats');
+    try {
+        const response = await fetch(`/api/leaderboard?sort=${leaderboardElements.sortSelect.value}`);
+        const data = await response.json();
+        renderLeaderboard(data.players);
+    } catch (error) {
+        console.error('加载排行榜失败:', error);
+        showGlobalToast('加载排行榜失败');
+    }
+}
+
+function renderLeaderboard(players) {
+    leaderboardElements.body.innerHTML = '';
+    if (players.length === 0) {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 8;
+        td.className = 'no-data';
+        td.textContent = '暂无数据，快去开一局吧！';
+        tr.appendChild(td);
+        leaderboardElements.body.appendChild(tr);
+        return;
+    }
+    players.forEach((player, index) => {
+        const tr = document.createElement('tr');
+        const cells = [
+            index + 1,
+            player.nickname,
+            player.linesAccepted,
+            player.linesRejected,
+            player.votesCast,
+            formatAccuracy(player.voteAccuracy),
+            `${player.gamesWon}/${player.gamesPlayed}`,
+            player.favouriteChars.join(' ') || '-',
+        ];
+        cells.forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        leaderboardElements.body.appendChild(tr);
+    });
+}
+
+lobbyElements.leaderboardBtn.addEventListener('click', () => {
+    history.pushState(null, '', '/leaderboard');
+    handleRouting();
+});
+
+leaderboardElements.backBtn.addEventListener('click', () => {
+    history.pushState(null, '', '/');
+    handleRouting();
+});
+
+leaderboardElements.sortSelect.addEventListener('change', loadLeaderboard);
+
+socket.on('myStats', (stats) => {
+    leaderboardElements.myStats.textContent = stats
+        ? `我的战绩 (${stats.nickname})：通过 ${stats.linesAccepted} 句，未通过 ${stats.linesRejected} 句，` +
+          `投票 ${stats.votesCast} 次 (准确率 ${formatAccuracy(stats.voteAccuracy)})，胜 ${stats.gamesWon}/${stats.gamesPlayed} 局`
+        : '';
+});
+
 socket.on('newMessage', (msg) => {
     appendMessage(msg);
 });
 
 socket.on('gameStateUpdate', (state) => {
     renderGame(state);
+    // 有诗句被确认后才记下，免得往期接龙里堆满空记录
+    if (state.historyId && state.match.roundsPlayed > 0) {
+        rememberHistory(state.historyId, gameElements.roomNameDisplay.textContent);
+    }
 });
 
 function handleForcedExit(reason) {
@@ -0,0 +1,146 @@
+// 房间状态机：房间所处的阶段、阶段之间的合法转换，以及每个房间自有的计时器。
+// 本模块只维护运行时状态，不涉及 socket 与持久化；计时函数可通过 useTimers 替换，测试中配合假计时器使用 (见 test/room.test.js)。
+
+const PHASES = {
+    waiting: '等待输入',
+    validating: '验证中',
+    voting: '投票中',
+    choosing: '选择新字',
+    ended: '游戏结束',
+};
+
+// 每个阶段允许进入的下一阶段 (停留在原阶段总是允许的)
+const TRANSITIONS = {
+    waiting: ['validating', 'voting', 'choosing', 'ended'], // 提交答案、质疑上一句、投票通过后选字、限时结束
+    validating: ['waiting', 'voting', 'choosing', 'ended'], // 验证器驳回、交给投票、直接通过
+    voting: ['waiting', 'ended'],                           // 投票结束后先回到等待，再由结果决定下一步
+    choosing: ['waiting', 'voting', 'ended'],               // 选字完成、选字期间发起质疑
+    ended: ['waiting'],                                     // 再来一局
+};
+
+const defaultTimers = {
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: handle => clearTimeout(handle),
+};
+let timers = defaultTimers;
+
+// 房间数据对象 -> { phase, timers: Map(计时器名 -> { handle, key }) }
+// 运行时状态不挂在房间数据上，因而不会被持久化
+const runtimes = new WeakMap();
+
+// 传入 { setTimeout, clearTimeout } 替换计时函数，传入 null 恢复默认
+function useTimers(api) {
+    timers = api || defaultTimers;
+}
+
+// 从房间数据推断阶段，用于新建或从磁盘恢复的房间
+function inferPhase(room) {
+    if (room.match && room.match.ended) return 'ended';
+    if (room.currentVote) return 'voting';
+    if (room.choice) return 'choosing';
+    return room.validationQueue && room.validationQueue.length > 0 ? 'validating' : 'waiting';
+}
+
+function getRuntime(room) {
+    let runtime = runtimes.get(room);
+    if (!runtime) {
+        runtime = { phase: inferPhase(room), timers: new Map() };
+        runtimes.set(room, runtime);
+    }
+    return runtime;
+}
+
+function getPhase(room) {
+    return getRuntime(room).phase;
+}
+
+function canTransition(room, phase) {
+    const current = getPhase(room);
+    return current === phase || TRANSITIONS[current].includes(phase);
+}
+
+// 进入新阶段，非法转换不生效并返回 false
+function transition(room, phase) {
+    if (!PHASES[phase]) throw new Error(`未知的房间阶段: ${phase}`);
+    if (!canTransition(room, phase)) {
+        console.warn(`房间 [${room.id}] 不能从 ${getPhase(room)} 阶段进入 ${phase} 阶段。`);
+        return false;
+    }
+    getRuntime(room).phase = phase;
+    return true;
+}
+
+// 同名计时器只保留一个；key 用于调用方判断已有计时器是否仍对应当前局面
+function setTimer(room, name, delay, callback, key = null) {
+    clearTimer(room, name);
+    const runtime = getRuntime(room);
+    const entry = { key: key };
+    entry.handle = timers.setTimeout(() => {
+        if (runtime.timers.get(name) === entry) runtime.timers.delete(name);
+        callback();
+    }, Math.max(0, delay));
+    runtime.timers.set(name, entry);
+}
+
+function clearTimer(room, name) {
+    const runtime = getRuntime(room);
+    const entry = runtime.timers.get(name);
+    if (!entry) return;
+    timers.clearTimeout(entry.handle);
+    runtime.timers.delete(name);
+}
+
+// 清除名称以 prefix 开头的所有计时器，不传则清除全部
+function clearTimers(room, prefix = '') {
+    const runtime = getRuntime(room);
+    [...runtime.timers.keys()].filter(name => name.startsWith(prefix)).forEach(name => clearTimer(room, name));
+}
+
+function hasTimer(room, name) {
+    return getRuntime(room).timers.has(name);
+}
+
+function getTimerKey(room, name) {
+    const entry = getRuntime(room).timers.get(name);
+    return entry ? entry.key : null;
+}
+
+// 房间销毁时调用，停止其所有计时器
+function disposeRoom(room) {
+    clearTimers(room);
+    runtimes.delete(room);
+}
+
+// 房间状态栏的文字，由当前阶段决定
+function describePhase(room, playable) {
+    switch (getPhase(room)) {
+        case 'ended':
+            return PHASES.ended;
+        case 'voting':
+            return room.currentVote && room.currentVote.challenge ? '质疑投票中' : PHASES.voting;
+        case 'choosing':
+            return `${PHASES.choosing} (等待【${(room.choice && room.choice.winnerNickname) || '一位玩家'}】)`;
+        case 'validating':
+            return room.validationQueue.length > 0
+                ? `${PHASES.validating} ([${room.validationQueue[0].answer}])`
+                : PHASES.validating;
+        default:
+            return playable ? PHASES.waiting : '等待玩家...';
+    }
+}
+
+module.exports = {
+    PHASES,
+    TRANSITIONS,
+    useTimers,
+    getPhase,
+    canTransition,
+    transition,
+    setTimer,
+    clearTimer,
+    clearTimers,
+    hasTimer,
+    getTimerKey,
+    disposeRoom,
+    describePhase,
+};
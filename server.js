@@ -8,37 +8,382 @@ const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const readline = require('readline');
+const roomState = require('./room');
+const { openStorage, runMigrations } = require('./storage');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
-const DATA_DIR = path.join(__dirname, 'data');
-const ROOMS_FILE = path.join(DATA_DIR, 'rooms.json');
-const VALID_SENTENCES_FILE = path.join(DATA_DIR, 'valid_sentences.json');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data'); // 测试时指向临时目录
 const ADMIN_FILE = path.join(DATA_DIR, 'admin.json');
+const CORPUS_FILE = path.join(DATA_DIR, 'poems.json');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json'; // 'json' 或 'sqlite' (需安装 better-sqlite3)
 
 let rooms = {};
-let localCache = [];
-let reconnectTimeouts = {};
-let choiceTimeouts = {};
+let localCache = new Map(); // 规范化诗句 -> 缓存记录 (来源、添加时间、命中次数等)
+let cacheCharIndex = new Map(); // 字 -> 包含该字的缓存诗句集合，用于按字筛选和搜索
+let sortedCacheKeys = null; // 按诗句排序的键列表，缓存增删时置空，需要时重建
+let corpusPoems = [];
+let corpusIndex = new Map(); // 规范化诗句 -> { poemIndex, lineIndex }
+let serverSettings = {
+    corpusEnabled: true,
+    autoPromoteVoted: false, // 投票通过的诗句是否直接加入全局缓存 (否则进入待审核列表)
+    bannedWords: [],         // 包含这些词的答案会被屏蔽词验证器驳回
+};
+let pendingSentences = {}; // 规范化诗句 -> 投票通过的来源信息，等待管理员批准
+let playerStats = {}; // 玩家档案ID -> 跨房间累计数据
+let cacheFlags = {}; // 规范化诗句 -> 质疑成立的记录，等待管理员审核
+let historyWrites = {}; // 历史记录ID -> 写入队列，保证历史记录按顺序追加
+let historyArchive = {}; // 已解散房间的历史记录ID -> { roomId, roomName, endedAt }，保留期满后删除
+let storage = null; // 启动时按 STORAGE_BACKEND 打开的存储后端
+let dirtyCacheKeys = new Set(); // 上次保存后增删改过的缓存诗句，SQLite 后端只写入这些记录
 const RECONNECT_TIMEOUT_MS = 30000;
+const HISTORY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 房间解散后接龙记录保留 30 天
+const GAME_MODES = {
+    classic: '自由接字', // 答案须包含起始字，胜者自选下一个字
+    chain: '首尾接龙',   // 答案须以起始字开头，末字自动成为下一个起始字
+    feihua: '飞花令',    // 关键字固定，须依次出现在第 1、2、3... 个字的位置
+};
+const FEIHUA_MAX_POSITION = 7; // 飞花令位置在 1-7 之间循环
+const PASS_THRESHOLDS = {
+    majority: (totalVoters) => Math.floor(totalVoters / 2) + 1, // 简单多数
+    twoThirds: (totalVoters) => Math.ceil((totalVoters * 2) / 3), // 三分之二
+    unanimous: (totalVoters) => totalVoters,                      // 全票通过
+};
+const DEFAULT_ROOM_SETTINGS = {
+    voteDuration: 15,        // 投票时长 (秒)
+    choiceDuration: 15,      // 选字时长 (秒)
+    passThreshold: 'majority',
+    startChar: '月',         // 开局起始字 (飞花令模式下即为关键字)
+    usedSentencesLimit: 50,  // 最近多少句诗不可重复使用
+    maxPlayers: 8,           // 玩家席位上限 (不含观众)
+    winCondition: 'none',    // 胜利条件：none / score / rounds / time
+    winTarget: 10,           // 目标分数、目标轮数或限时分钟数
+    hintCost: 1,             // 每级提示扣除的分数
+    validators: ['format', 'bannedWords', 'cache', 'corpus', 'vote'], // 启用的验证器，按 VALIDATORS 的顺序执行
+};
+const WIN_TARGET_RANGES = {
+    score: [1, 100],  // 先得 N 分
+    rounds: [1, 200], // 共 N 轮
+    time: [1, 180],   // 限时 N 分钟
+};
+const CACHE_IMPORT_FORMATS = ['text', 'json', 'csv'];
+const CACHE_IMPORT_REPORT_LIMIT = 100; // 导入报告中最多列出的重复/无效行数
+const CACHE_IMPORT_PATH = '/admin/api/cache/import';
+const CACHE_IMPORT_BODY_LIMIT = '5mb';
+const CACHE_SORTS = ['sentence', 'addedAt', 'hits', 'lastHitAt'];
+const CACHE_PAGE_SIZE = 50;
+const CACHE_SOURCES = {
+    admin: '管理员添加',
+    vote: '投票通过',
+    practice: '单人练习',
+    import: '批量导入',
+    corpus: '词库确认',
+    legacy: '旧数据',
+};
+// 缓存记录自身的字段，导入时不会被当作附加元数据
+const CACHE_ENTRY_FIELDS = ['sentence', 'source', 'addedAt', 'roomId', 'nickname', 'hits', 'lastHitAt', 'meta'];
+const CHAT_MAX_LENGTH = 100;
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_RATE_LIMIT = { count: 5, windowMs: 10000 }; // 每 10 秒最多发送 5 条聊天消息
+const VALIDATION_LABELS = {
+    cache: '缓存命中',
+    corpus: '词库确认',
+    vote: '投票通过',
+};
+// 验证流水线：依次执行房间启用的验证器，每个验证器给出 accept (确认)、reject (驳回) 或 defer (交给下一个)；
+// 投票验证器给出 pending，最终结论在投票结束时产生。
+// 只会驳回的格式规则与屏蔽词排在最前，否则缓存或词库中的诗句会在它们执行前就被确认
+const VALIDATORS = [
+    { id: 'format', label: '格式规则', validate: validateFormat },
+    { id: 'bannedWords', label: '屏蔽词', validate: validateBannedWords },
+    { id: 'cache', label: '诗句缓存', validate: validateByCache },
+    { id: 'corpus', label: '古诗词库', validate: validateByCorpus },
+    { id: 'vote', label: '玩家投票', validate: validateByVote },
+];
+const LINE_FORMAT_RULE = { minLength: 3, maxLength: 20 }; // 诗句须为 3-20 个汉字
+const BANNED_WORDS_LIMIT = 500;
+// 机器人难度：answerDelay 为每次思考的耗时 (毫秒)，knowledge 为每次思考后能想出诗句的概率，
+// trustUnknown 为对不认识的诗句投赞同票的概率，smartChoice 表示选字时是否挑选已知诗句最多的字
+const BOT_LEVELS = {
+    easy: { label: '简单', answerDelay: [15000, 30000], knowledge: 0.35, trustUnknown: 0.7, smartChoice: false },
+    normal: { label: '普通', answerDelay: [8000, 18000], knowledge: 0.6, trustUnknown: 0.4, smartChoice: false },
+    hard: { label: '困难', answerDelay: [4000, 10000], knowledge: 0.9, trustUnknown: 0.1, smartChoice: true },
+};
+const BOT_REACT_DELAY = [1500, 4000]; // 机器人投票、选字前的停顿 (毫秒)
+const HINT_MAX_LEVEL = 3; // 依次提示：字数 -> 作者 -> 部分字
+const HINT_MASK = '□';
+const LEADERBOARD_SORTS = ['linesAccepted', 'gamesWon', 'voteAccuracy'];
+const LEADERBOARD_SIZE = 20;
 
 let saveRoomsTimeout = null;
 let saveCacheTimeout = null;
+let saveSettingsTimeout = null;
+let savePlayerStatsTimeout = null;
+let saveCacheFlagsTimeout = null;
+let savePendingTimeout = null;
+let saveHistoryArchiveTimeout = null;
 
 function normalizeSentence(sentence) {
     return sentence.replace(/[\s\p{P}]/gu, '');
 }
 
+// 将一首诗的段落按标点拆分为单句
+function splitPoemLines(paragraphs) {
+    return paragraphs
+        .flatMap(paragraph => paragraph.split(/[\s\p{P}]+/u))
+        .map(normalizeSentence)
+        .filter(line => line.length > 0);
+}
+
+async function loadCorpus() {
+    try {
+        const corpusData = await fs.readFile(CORPUS_FILE, 'utf8');
+        const parsedCorpus = JSON.parse(corpusData);
+        const poems = Array.isArray(parsedCorpus) ? parsedCorpus : [];
+        const index = new Map();
+        poems.forEach((poem, poemIndex) => {
+            splitPoemLines(poem.paragraphs || []).forEach((line, lineIndex) => {
+                if (!index.has(line)) index.set(line, { poemIndex, lineIndex });
+            });
+        });
+        corpusPoems = poems;
+        corpusIndex = index;
+        console.log(`古诗词库已加载：${corpusPoems.length} 首，${corpusIndex.size} 句。`);
+    } catch (error) {
+        console.log(`未找到 ${CORPUS_FILE} 或无法解析，将使用空词库。`, error.message);
+        corpusPoems = [];
+        corpusIndex = new Map();
+    }
+    return getCorpusInfo();
+}
+
+// 查询诗句出处，未收录时返回 null
+function lookupPoemSource(normalizedLine) {
+    const entry = corpusIndex.get(normalizedLine);
+    if (!entry) return null;
+    const poem = corpusPoems[entry.poemIndex];
+    const lines = splitPoemLines(poem.paragraphs || []);
+    return {
+        title: poem.title || '无题',
+        author: poem.author || '佚名',
+        dynasty: poem.dynasty || '',
+        line: normalizedLine,
+        prevLine: lines[entry.lineIndex - 1] || null,
+        nextLine: lines[entry.lineIndex + 1] || null,
+        paragraphs: poem.paragraphs || [],
+    };
+}
+
+function createCacheEntry(sentence, { source, roomId = null, nickname = null, meta = null }) {
+    const entry = {
+        sentence: sentence,
+        source: CACHE_SOURCES[source] ? source : 'legacy',
+        addedAt: Date.now(),
+        roomId: roomId,
+        nickname: nickname,
+        hits: 0,
+        lastHitAt: null,
+    };
+    if (meta && Object.keys(meta).length > 0) entry.meta = meta;
+    return entry;
+}
+
+function indexCacheSentence(sentence) {
+    new Set(sentence).forEach(char => {
+        if (!cacheCharIndex.has(char)) cacheCharIndex.set(char, new Set());
+        cacheCharIndex.get(char).add(sentence);
+    });
+}
+
+function unindexCacheSentence(sentence) {
+    new Set(sentence).forEach(char => {
+        const sentences = cacheCharIndex.get(char);
+        if (!sentences) return;
+        sentences.delete(sentence);
+        if (sentences.size === 0) cacheCharIndex.delete(char);
+    });
+}
+
+function rebuildCacheIndex() {
+    cacheCharIndex = new Map();
+    sortedCacheKeys = null;
+    localCache.forEach((entry, sentence) => indexCacheSentence(sentence));
+}
+
+// 加入全局缓存，已存在时返回 false (保留原有的来源记录)
+function addCacheEntry(sentence, provenance) {
+    if (!sentence || localCache.has(sentence)) return false;
+    localCache.set(sentence, createCacheEntry(sentence, provenance));
+    indexCacheSentence(sentence);
+    sortedCacheKeys = null;
+    scheduleSaveCache(sentence);
+    return true;
+}
+
+function removeCacheEntry(sentence) {
+    if (!localCache.delete(sentence)) return false;
+    unindexCacheSentence(sentence);
+    sortedCacheKeys = null;
+    scheduleSaveCache(sentence);
+    return true;
+}
+
+function recordCacheHit(sentence) {
+    const entry = localCache.get(sentence);
+    if (!entry) return;
+    entry.hits++;
+    entry.lastHitAt = Date.now();
+    scheduleSaveCache(sentence);
+}
+
+function getSortedCacheKeys() {
+    if (!sortedCacheKeys) sortedCacheKeys = [...localCache.keys()].sort();
+    return sortedCacheKeys;
+}
+
+function getCacheEntries() {
+    return getSortedCacheKeys().map(sentence => localCache.get(sentence));
+}
+
+// 分页查询缓存：q 为诗句片段，char 为必须包含的字，source 为来源，sort 为排序字段 (除诗句外均为降序)
+function searchCache({ q, char, source, sort, page }) {
+    const query = normalizeSentence(typeof q === 'string' ? q : '');
+    const requiredChar = typeof char === 'string' ? [...char.trim()][0] || '' : '';
+    // 以查询中最少见的字对应的诗句集合作为候选，避免遍历整个缓存
+    let candidates = null;
+    new Set([...query, ...requiredChar]).forEach(c => {
+        const sentences = cacheCharIndex.get(c) || new Set();
+        if (!candidates || sentences.size < candidates.size) candidates = sentences;
+    });
+    let keys = candidates ? [...candidates].sort() : getSortedCacheKeys();
+    if (candidates) keys = keys.filter(sentence => sentence.includes(query) && sentence.includes(requiredChar));
+    if (CACHE_SOURCES[source]) keys = keys.filter(sentence => localCache.get(sentence).source === source);
+    const sortKey = CACHE_SORTS.includes(sort) ? sort : 'sentence';
+    if (sortKey !== 'sentence') {
+        keys = [...keys].sort((a, b) => (localCache.get(b)[sortKey] || 0) - (localCache.get(a)[sortKey] || 0));
+    }
+
+    const pageCount = Math.max(1, Math.ceil(keys.length / CACHE_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(parseInt(page, 10) || 1, 1), pageCount);
+    const start = (currentPage - 1) * CACHE_PAGE_SIZE;
+    return {
+        entries: keys.slice(start, start + CACHE_PAGE_SIZE).map(sentence => localCache.get(sentence)),
+        total: keys.length,
+        page: currentPage,
+        pageCount: pageCount,
+        pageSize: CACHE_PAGE_SIZE,
+        cacheSize: localCache.size,
+    };
+}
+
+// 旧版 valid_sentences.json 只是字符串数组，由第 1 版数据迁移转换为来源未知的记录；加载时也用它补全记录的默认字段
+function migrateCacheEntries(items) {
+    const cache = new Map();
+    let migrated = 0;
+    items.forEach(item => {
+        let entry;
+        if (typeof item === 'string') {
+            entry = { ...createCacheEntry(normalizeSentence(item), { source: 'legacy' }), addedAt: null };
+            migrated++;
+        } else if (item && typeof item.sentence === 'string') {
+            const defaults = createCacheEntry(item.sentence, item);
+            entry = { ...defaults, ...item, source: defaults.source, hits: Number(item.hits) || 0 };
+        }
+        if (entry && entry.sentence && !cache.has(entry.sentence)) cache.set(entry.sentence, entry);
+    });
+    return { cache, migrated };
+}
+
+function getModerationInfo() {
+    return {
+        autoPromote: serverSettings.autoPromoteVoted,
+        pending: Object.entries(pendingSentences)
+            .map(([sentence, entry]) => ({ sentence, ...entry }))
+            .sort((a, b) => b.submittedAt - a.submittedAt),
+    };
+}
+
+function getCorpusInfo() {
+    return {
+        enabled: serverSettings.corpusEnabled,
+        poemCount: corpusPoems.length,
+        lineCount: corpusIndex.size,
+    };
+}
+
+// 校验并合并房间设置，返回 { settings } 或 { error }
+function sanitizeRoomSettings(input, baseSettings = DEFAULT_ROOM_SETTINGS) {
+    const settings = { ...baseSettings };
+    if (!input || typeof input !== 'object') return { settings };
+
+    const integerInRange = (value, min, max) =>
+        Number.isInteger(Number(value)) && Number(value) >= min && Number(value) <= max;
+
+    if (input.voteDuration !== undefined) {
+        if (!integerInRange(input.voteDuration, 5, 120)) return { error: '投票时长须为 5-120 秒。' };
+        settings.voteDuration = Number(input.voteDuration);
+    }
+    if (input.choiceDuration !== undefined) {
+        if (!integerInRange(input.choiceDuration, 5, 120)) return { error: '选字时长须为 5-120 秒。' };
+        settings.choiceDuration = Number(input.choiceDuration);
+    }
+    if (input.passThreshold !== undefined) {
+        if (!PASS_THRESHOLDS[input.passThreshold]) return { error: '无效的通过门槛。' };
+        settings.passThreshold = input.passThreshold;
+    }
+    if (input.startChar !== undefined && input.startChar !== '') {
+        const startChar = String(input.startChar).trim();
+        if (!/^[^\s\p{P}]$/u.test(startChar)) return { error: '起始字必须是单个汉字。' };
+        settings.startChar = startChar;
+    }
+    if (input.usedSentencesLimit !== undefined) {
+        if (!integerInRange(input.usedSentencesLimit, 0, 500)) return { error: '防重复句数须为 0-500。' };
+        settings.usedSentencesLimit = Number(input.usedSentencesLimit);
+    }
+    if (input.maxPlayers !== undefined) {
+        if (!integerInRange(input.maxPlayers, 2, 20)) return { error: '玩家上限须为 2-20 人。' };
+        settings.maxPlayers = Number(input.maxPlayers);
+    }
+    if (input.hintCost !== undefined) {
+        if (!integerInRange(input.hintCost, 0, 10)) return { error: '提示扣分须为 0-10 分。' };
+        settings.hintCost = Number(input.hintCost);
+    }
+    if (input.validators !== undefined) {
+        if (!Array.isArray(input.validators) || input.validators.some(id => !VALIDATORS.some(v => v.id === id))) {
+            return { error: '无效的验证器。' };
+        }
+        if (input.validators.length === 0) return { error: '至少需要启用一个验证器。' };
+        settings.validators = VALIDATORS.map(v => v.id).filter(id => input.validators.includes(id));
+    }
+    if (input.winCondition !== undefined) {
+        if (input.winCondition !== 'none' && !WIN_TARGET_RANGES[input.winCondition]) {
+            return { error: '无效的胜利条件。' };
+        }
+        settings.winCondition = input.winCondition;
+    }
+    if (input.winTarget !== undefined) settings.winTarget = Number(input.winTarget);
+    if (settings.winCondition !== 'none') {
+        const [min, max] = WIN_TARGET_RANGES[settings.winCondition];
+        if (!integerInRange(settings.winTarget, min, max)) return { error: `胜利目标须为 ${min}-${max}。` };
+    }
+    return { settings };
+}
+
 function getLobbyInfo() {
     const roomList = [];
     for (const roomId in rooms) {
+        if (rooms[roomId].isUnlisted) continue; // 不公开的房间不在大厅显示
         roomList.push({
             id: roomId,
             name: rooms[roomId].name,
+            hasPassword: !!rooms[roomId].passwordHash,
+            mode: rooms[roomId].mode,
             playerCount: Object.values(rooms[roomId].players).filter((p) => p.online)
                 .length,
+            maxPlayers: rooms[roomId].settings.maxPlayers,
+            spectatorCount: Object.keys(rooms[roomId].spectators).length,
         });
     }
     return roomList;
@@ -55,44 +400,59 @@ function getSerializableRoomState(roomId) {
     if (!room) return null;
 
     const onlinePlayers = Object.values(room.players).filter(p => p.online).length;
-    const isPlayable = onlinePlayers >= 2;
+    const isPlayable = onlinePlayers >= (room.isPractice ? 1 : 2);
     
-    let gameStateMessage = '等待输入';
-    if (room.currentVote) {
-        gameStateMessage = '投票中';
-    } else if (choiceTimeouts[roomId]) {
-        const winnerNickname = choiceTimeouts[roomId].winnerNickname || '一位玩家';
-        gameStateMessage = `选择新字 (等待【${winnerNickname}】)`;
-    } else if (room.validationQueue.length > 0) {
-        gameStateMessage = `验证中 ([${room.validationQueue[0].answer}])`;
-    } else if (!isPlayable) {
-        gameStateMessage = '等待玩家...';
-    }
-
+    const openChallenge = getOpenChallenge(roomId);
+    const practice = room.isPractice ? getPracticeStats(room) : null;
     return {
         players: Object.fromEntries(
             Object.entries(room.players).map(([nickname, data]) => [
                 nickname,
-                { nickname: data.nickname, score: data.score, online: data.online },
+                { nickname: data.nickname, score: data.score, online: data.online, isBot: !!data.isBot, botLevel: data.botLevel },
             ])
         ),
+        spectators: Object.keys(room.spectators),
+        mode: room.mode,
         currentStartChar: room.currentStartChar,
+        historyId: isShareableHistoryId(room.historyId) ? room.historyId : null, // 客户端据此在房间解散后查看往期接龙
+        feihuaPosition: room.mode === 'feihua' ? room.feihuaPosition : null,
+        settings: room.settings,
+        host: room.host,
+        match: {
+            ended: room.match.ended,
+            reason: room.match.reason,
+            standings: room.match.standings,
+            roundsPlayed: room.match.roundsPlayed,
+            endsAt: room.settings.winCondition === 'time'
+                ? room.match.startTime + room.settings.winTarget * 60000
+                : null,
+            practiceSummary: room.match.practiceSummary || null,
+        },
+        practice: practice ? {
+            answered: practice.answerTimes.length,
+            streak: practice.streak,
+            pendingCount: practice.pending.length,
+        } : null,
         queue: room.validationQueue,
         currentVote: room.currentVote ? {
             submission: room.currentVote.submission,
             voters: room.currentVote.voters,
             votes: room.currentVote.votes,
             endTime: room.currentVote.endTime,
+            challenger: room.currentVote.challenge ? room.currentVote.challenge.challenger : null,
+        } : null,
+        challenge: openChallenge ? {
+            answer: openChallenge.answer,
+            nickname: openChallenge.nickname,
+            deadline: openChallenge.challengeDeadline,
         } : null,
-        choice: choiceTimeouts[roomId] ? { 
-            winnerNickname: choiceTimeouts[roomId].winnerNickname,
-            answer: choiceTimeouts[roomId].answer,
-            endTime: choiceTimeouts[roomId].endTime,
-        } : null, 
+        choice: room.choice || null,
         playable: isPlayable,
-        isChoosingChar: !!choiceTimeouts[roomId],
-        gameStateMessage: gameStateMessage,
+        phase: roomState.getPhase(room),
+        isChoosingChar: roomState.getPhase(room) === 'choosing',
+        gameStateMessage: roomState.describePhase(room, isPlayable),
         messages: room.messages,
+        chatMessages: room.chatMessages,
     };
 }
 
@@ -100,6 +460,7 @@ function broadcastGameState(roomId) {
     const state = getSerializableRoomState(roomId);
     if (state) {
         io.to(roomId).emit('gameStateUpdate', state);
+        updateBots(roomId); // 每次状态变化后让机器人重新决定下一步
     }
     io.to('admin').emit('adminDataUpdate'); // 玩家状态变化也通知管理员
 }
@@ -114,7 +475,7 @@ function sendPrivateMessage(socket, messageContent) {
     socket.emit('newMessage', message);
 }
 
-function broadcastMessage(roomId, messageContent, messageClass = 'game-message') {
+function broadcastMessage(roomId, messageContent, messageClass = 'game-message', extra = {}) {
     const room = rooms[roomId];
     if (!room) return;
 
@@ -122,6 +483,7 @@ function broadcastMessage(roomId, messageContent, messageClass = 'game-message')
         content: messageContent,
         className: messageClass,
         timestamp: Date.now(),
+        ...extra,
     };
     
     room.messages.push(message);
@@ -142,8 +504,44 @@ async function verifyPassword(password, salt, hash) {
     return hashPassword(password, salt) === hash;
 }
 
+// 玩家重连凭证：明文只发给客户端一次，服务器仅保存其哈希
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issuePlayerToken(player) {
+    const token = crypto.randomBytes(24).toString('hex');
+    player.tokenHash = hashToken(token);
+    return token;
+}
+
+// 玩家档案ID：由客户端本地保存的随机密钥派生，用于跨房间累计数据
+function getProfileId(profileKey) {
+    if (typeof profileKey !== 'string' || profileKey.length < 16 || profileKey.length > 64) return null;
+    return hashToken(profileKey).slice(0, 16);
+}
+
+function verifyPlayerToken(player, token) {
+    if (player.claimable) return true; // 管理员已允许认领，下一位以该昵称进入的人接管席位并获得新凭证
+    return matchesPlayerToken(player, token);
+}
+
+// 只比对凭证本身；没有凭证的席位 (旧版本存档) 一律不通过，须由管理员允许认领
+function matchesPlayerToken(player, token) {
+    return !!player.tokenHash && typeof token === 'string' && hashToken(token) === player.tokenHash;
+}
+
+// 房间未设密码时总是通过
+function checkRoomPassword(room, password) {
+    if (!room.passwordHash) return true;
+    if (typeof password !== 'string' || !password) return false;
+    return hashPassword(password, room.passwordSalt) === room.passwordHash;
+}
+
 app.use(cookieParser());
-app.use(bodyParser.json());
+// 批量导入的请求体会超出全局 JSON 解析器 100kb 的上限，交给导入路由自己以文本读取
+const jsonParser = bodyParser.json();
+app.use((req, res, next) => (req.path === CACHE_IMPORT_PATH ? next() : jsonParser(req, res, next)));
 app.use(session({
     secret: crypto.randomBytes(32).toString('hex'),
     resave: false,
@@ -194,16 +592,96 @@ adminApiRouter.get('/data', (req, res) => {
     const roomList = Object.values(rooms).map(room => ({
         id: room.id,
         playerCount: Object.values(room.players).filter(p => p.online).length,
-        isPermanent: !!room.isPermanent
+        spectatorCount: Object.keys(room.spectators).length,
+        isPermanent: !!room.isPermanent,
+        isUnlisted: !!room.isUnlisted,
+        hasPassword: !!room.passwordHash,
     }));
-    res.json({ rooms: roomList, cache: [...localCache].sort() });
+    const flagged = Object.entries(cacheFlags).map(([sentence, flag]) => ({ sentence, ...flag }));
+    res.json({
+        rooms: roomList,
+        flagged: flagged,
+        moderation: getModerationInfo(),
+        corpus: getCorpusInfo(),
+        bannedWords: serverSettings.bannedWords,
+    });
+});
+
+adminApiRouter.post('/corpus/toggle', (req, res) => {
+    serverSettings.corpusEnabled = !serverSettings.corpusEnabled;
+    scheduleSaveSettings();
+    res.json({ success: true, corpus: getCorpusInfo() });
+});
+
+adminApiRouter.post('/corpus/reload', async (req, res) => {
+    const corpus = await loadCorpus();
+    res.json({ success: true, corpus });
+});
+
+// 整体替换屏蔽词列表，词语按诗句规则去掉空白和标点
+adminApiRouter.post('/banned-words', (req, res) => {
+    const { words } = req.body;
+    if (!Array.isArray(words)) {
+        return res.status(400).json({ message: '屏蔽词须为列表' });
+    }
+    const normalized = [...new Set(words.map(w => normalizeSentence(String(w))).filter(Boolean))];
+    if (normalized.length > BANNED_WORDS_LIMIT) {
+        return res.status(400).json({ message: `屏蔽词最多 ${BANNED_WORDS_LIMIT} 个` });
+    }
+    serverSettings.bannedWords = normalized;
+    scheduleSaveSettings();
+    res.json({ success: true, bannedWords: serverSettings.bannedWords });
+});
+
+adminApiRouter.post('/pending/toggle-auto-promote', (req, res) => {
+    serverSettings.autoPromoteVoted = !serverSettings.autoPromoteVoted;
+    scheduleSaveSettings();
+    res.json({ success: true, moderation: getModerationInfo() });
+});
+
+// 批量批准：加入全局缓存并移出待审核列表
+adminApiRouter.post('/pending/approve', (req, res) => {
+    const { sentences } = req.body;
+    if (!Array.isArray(sentences)) {
+        return res.status(400).json({ message: '请选择要批准的诗句' });
+    }
+    let approved = 0;
+    sentences.forEach(sentence => {
+        const normalized = normalizeSentence(String(sentence));
+        if (!pendingSentences[normalized]) return;
+        const entry = pendingSentences[normalized];
+        // 单人练习中记下的诗句没有经过投票，来源记为单人练习并保留练习房间与提交者
+        addCacheEntry(normalized, { source: entry.practice ? 'practice' : 'vote', roomId: entry.roomId, nickname: entry.nickname });
+        delete pendingSentences[normalized];
+        approved++;
+    });
+    scheduleSavePending();
+    res.json({ success: true, approved: approved, moderation: getModerationInfo() });
+});
+
+adminApiRouter.post('/pending/reject', (req, res) => {
+    const { sentences } = req.body;
+    if (!Array.isArray(sentences)) {
+        return res.status(400).json({ message: '请选择要拒绝的诗句' });
+    }
+    let rejected = 0;
+    sentences.forEach(sentence => {
+        const normalized = normalizeSentence(String(sentence));
+        if (!pendingSentences[normalized]) return;
+        delete pendingSentences[normalized];
+        rejected++;
+    });
+    scheduleSavePending();
+    res.json({ success: true, rejected: rejected, moderation: getModerationInfo() });
 });
 
 adminApiRouter.get('/rooms/:roomId/players', (req, res) => {
     const { roomId } = req.params;
     const room = rooms[roomId];
     if (room) {
-        res.json(Object.values(room.players));
+        res.json(Object.values(room.players).map(({ nickname, score, online, isBot, unclaimed, claimable }) => (
+            { nickname, score, online, isBot: !!isBot, unclaimed: !!unclaimed, claimable: !!claimable }
+        )));
     } else {
         res.status(404).json({ message: '房间不存在' });
     }
@@ -234,7 +712,7 @@ adminApiRouter.post('/rooms/delete', (req, res) => {
             }
         });
 
-        delete rooms[roomId];
+        destroyRoom(roomId);
         broadcastRoomList();
         res.json({ success: true });
         scheduleSaveRooms();
@@ -243,81 +721,389 @@ adminApiRouter.post('/rooms/delete', (req, res) => {
     }
 });
 
+adminApiRouter.get('/cache', (req, res) => {
+    res.json(searchCache(req.query));
+});
+
 adminApiRouter.post('/cache/add', (req, res) => {
     const { sentence } = req.body;
     const normalized = normalizeSentence(sentence);
-    if (normalized && !localCache.includes(normalized)) {
-        localCache.push(normalized);
-        localCache.sort();
-        scheduleSaveCache();
+    if (addCacheEntry(normalized, { source: 'admin' })) {
+        if (pendingSentences[normalized]) {
+            delete pendingSentences[normalized];
+            scheduleSavePending();
+        }
         res.json({ success: true });
     } else {
         res.status(400).json({ message: '诗句无效或已存在' });
     }
 });
 
+// 批量导入：请求体为原始文本，格式由 ?format= 指定 (text / json / csv)，缺省时自动判断
+adminApiRouter.post('/cache/import', bodyParser.text({ type: '*/*', limit: CACHE_IMPORT_BODY_LIMIT }), (req, res) => {
+    // 以 application/json 上传的内容一律按 JSON 解析，不是数组时返回 400；
+    // 请求体通常以文本读取，若已被其他解析器解析为对象则还原为 JSON 文本
+    const isJson = !!req.is('application/json');
+    const content = typeof req.body === 'string' ? req.body : (isJson ? JSON.stringify(req.body) : '');
+    const format = isJson
+        ? 'json'
+        : (CACHE_IMPORT_FORMATS.includes(req.query.format) ? req.query.format : detectImportFormat(content));
+    let rows;
+    try {
+        rows = parseImportRows(content, format);
+    } catch (error) {
+        return res.status(400).json({ message: `无法解析导入内容: ${error.message}` });
+    }
+
+    const report = { format: format, total: rows.length, added: 0, duplicates: [], invalid: [] };
+    rows.forEach(({ row, sentence, meta }) => {
+        const normalized = typeof sentence === 'string' ? normalizeSentence(sentence) : '';
+        if (typeof sentence !== 'string') {
+            report.invalid.push({ row, reason: '不是文本' });
+        } else if (!normalized) {
+            report.invalid.push({ row, reason: '内容为空' });
+        } else if (getLineFormatError(normalized)) {
+            report.invalid.push({ row, reason: getLineFormatError(normalized) });
+        } else if (!addCacheEntry(normalized, { source: 'import', meta })) {
+            report.duplicates.push({ row, sentence: normalized });
+        } else {
+            delete pendingSentences[normalized];
+            report.added++;
+        }
+    });
+    report.duplicateCount = report.duplicates.length;
+    report.invalidCount = report.invalid.length;
+    report.duplicates = report.duplicates.slice(0, CACHE_IMPORT_REPORT_LIMIT);
+    report.invalid = report.invalid.slice(0, CACHE_IMPORT_REPORT_LIMIT);
+    if (report.added > 0) scheduleSavePending();
+    res.json({ success: true, report: report });
+});
+
+adminApiRouter.get('/cache/export', (req, res) => {
+    const format = CACHE_IMPORT_FORMATS.includes(req.query.format) ? req.query.format : 'text';
+    const entries = getCacheEntries();
+    if (format === 'json') {
+        res.attachment('valid_sentences.json');
+        res.json(entries);
+    } else if (format === 'csv') {
+        // 元数据的每个字段单独成列，再次导入时这些列会作为元数据保存
+        const metaColumns = [...new Set(entries.flatMap(entry => Object.keys(entry.meta || {})))].sort();
+        const columns = ['sentence', 'source', 'addedAt', 'roomId', 'nickname', 'hits'];
+        const lines = entries.map(entry => [
+            ...columns.map(column => (column === 'addedAt' && entry.addedAt ? new Date(entry.addedAt).toISOString() : entry[column])),
+            ...metaColumns.map(key => entry.meta?.[key]),
+        ].map(formatCsvField).join(','));
+        res.attachment('valid_sentences.csv');
+        res.type('text/csv').send([[...columns, ...metaColumns].map(formatCsvField).join(','), ...lines].join('\n') + '\n');
+    } else {
+        res.attachment('valid_sentences.txt');
+        res.type('text/plain').send(entries.map(entry => entry.sentence).join('\n') + '\n');
+    }
+});
+
 adminApiRouter.post('/cache/delete', (req, res) => {
     const { sentence } = req.body;
     const normalized = normalizeSentence(sentence);
-    const index = localCache.indexOf(normalized);
-    if (index > -1) {
-        localCache.splice(index, 1);
-        scheduleSaveCache();
+    if (removeCacheEntry(normalized)) {
+        if (cacheFlags[normalized]) {
+            delete cacheFlags[normalized];
+            scheduleSaveCacheFlags();
+        }
         res.json({ success: true });
     } else {
         res.status(404).json({ message: '诗句不存在' });
     }
 });
 
+// 审核后保留被质疑的诗句，恢复其缓存命中
+adminApiRouter.post('/cache/flags/dismiss', (req, res) => {
+    const { sentence } = req.body;
+    const normalized = normalizeSentence(sentence || '');
+    if (cacheFlags[normalized]) {
+        delete cacheFlags[normalized];
+        scheduleSaveCacheFlags();
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ message: '该诗句没有待审核的记录' });
+    }
+});
+
 adminApiRouter.post('/rooms/players/delete', (req, res) => {
     const { roomId, nickname } = req.body;
     const room = rooms[roomId];
     if (room && room.players[nickname]) {
-        const player = room.players[nickname];
-
-        // 1. 如果玩家在线，通知并断开连接
-        if (player.online && io.sockets.sockets.get(player.socketId)) {
-            const targetSocket = io.sockets.sockets.get(player.socketId);
-            targetSocket.emit('kicked', '您已被管理员移出房间');
-            setTimeout(() => {
-                if (targetSocket) targetSocket.disconnect(true);
-            }, 50);
-        }
-
-        // 2. 无论在线与否，都直接、无条件地从数据中移除
-        removePlayerFromRoom(roomId, nickname);
-
-        // 3. 广播状态更新
-        broadcastGameState(roomId); // 更新房间内其他玩家的视图
-        broadcastRoomList();      // 更新大厅和管理员界面的玩家计数
-
+        kickPlayer(roomId, nickname, '您已被管理员移出房间');
         res.json({ success: true });
     } else {
         res.status(404).json({ message: '玩家或房间不存在' });
     }
 });
 
+// 允许下一位以该昵称进入的人接管离线席位，用于凭证丢失或旧版本存档中尚无凭证的玩家
+adminApiRouter.post('/rooms/players/allow-claim', (req, res) => {
+    const { roomId, nickname } = req.body;
+    const player = rooms[roomId]?.players[nickname];
+    if (!player) return res.status(404).json({ message: '玩家或房间不存在' });
+    if (player.isBot) return res.status(400).json({ message: '机器人的席位不能认领' });
+    if (player.online) return res.status(400).json({ message: '玩家在线，无需认领' });
+    player.claimable = true;
+    scheduleSaveRooms();
+    res.json({ success: true });
+});
+
 app.use('/admin/api', adminApiRouter);
 
+function detectImportFormat(content) {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[')) return 'json';
+    const firstLine = trimmed.split(/\r?\n/)[0] || '';
+    return firstLine.includes(',') ? 'csv' : 'text';
+}
+
+// 将导入内容解析为 [{ row, sentence, meta }]，row 为从 1 开始的行号 (JSON 为数组下标 + 1)
+function parseImportRows(content, format) {
+    if (format === 'json') {
+        const parsed = JSON.parse(content);
+        if (!Array.isArray(parsed)) throw new Error('JSON 内容必须是数组');
+        // 数组元素可以是字符串，也可以是带 sentence 字段的对象，对象的其他字段作为元数据保存
+        return parsed.map((item, index) => {
+            if (!item || typeof item !== 'object') return { row: index + 1, sentence: item, meta: null };
+            // 导出的完整记录把元数据放在 meta 字段中，重新导入时展开
+            const exportedMeta = item.meta && typeof item.meta === 'object' ? Object.entries(item.meta) : [];
+            return { row: index + 1, sentence: item.sentence, meta: pickImportMeta([...exportedMeta, ...Object.entries(item)]) };
+        });
+    }
+    if (format === 'csv') {
+        const records = parseCsv(content);
+        // 首行包含 sentence / 诗句 列名时视为表头，其余列作为元数据保存
+        const header = (records[0] || []).map(cell => cell.trim());
+        const columnIndex = header.findIndex(cell => cell.toLowerCase() === 'sentence' || cell === '诗句');
+        const dataStart = columnIndex > -1 ? 1 : 0;
+        return records.slice(dataStart)
+            .map((cells, index) => ({
+                row: index + dataStart + 1,
+                sentence: cells[Math.max(columnIndex, 0)],
+                meta: columnIndex > -1
+                    ? pickImportMeta(header.map((name, i) => [name, cells[i]]).filter((_, i) => i !== columnIndex))
+                    : null,
+            }))
+            .filter(({ sentence }) => sentence !== undefined && sentence.trim() !== '');
+    }
+    return content
+        .split(/\r?\n/)
+        .map((line, index) => ({ row: index + 1, sentence: line }))
+        .filter(({ sentence }) => sentence.trim() !== '');
+}
+
+// 忽略空值以及与缓存记录同名的字段 (例如重新导入导出的 CSV 时的 source、hits 列)
+function pickImportMeta(pairs) {
+    const meta = {};
+    pairs.forEach(([key, value]) => {
+        if (!key || CACHE_ENTRY_FIELDS.includes(key) || value === undefined || value === null || value === '') return;
+        meta[key] = value;
+    });
+    return meta;
+}
+
+function formatCsvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (value && typeof value === 'object') text = JSON.stringify(value); // JSON 导入的元数据可能不是文本
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 简单的 CSV 解析：支持双引号包裹的字段以及字段内的 "" 转义
+function parseCsv(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
 function removePlayerFromRoom(roomId, nickname) {
     const room = rooms[roomId];
     if (!room || !room.players[nickname]) return false;
 
     delete room.players[nickname];
-    delete reconnectTimeouts[nickname];
+    roomState.clearTimer(room, `reconnect:${nickname}`);
+    roomState.clearTimer(room, `bot:${nickname}`);
 
-    if (Object.keys(room.players).length === 0 && !room.isPermanent) {
+    // 只剩机器人时同样视为无人
+    if (!Object.values(room.players).some(p => !p.isBot) && !room.isPermanent) {
         console.log(`房间 [${roomId}] 因无人而销毁。`);
-        delete rooms[roomId];
+        if (Object.keys(room.spectators).length > 0) {
+            io.to(roomId).emit('roomClosed', '房间内已没有玩家，房间已解散');
+        }
+        destroyRoom(roomId);
         return true;
     }
+    transferHostIfAbsent(roomId);
     return false;
 }
 
+// 停止房间的所有计时器并移除房间，接龙记录转入往期记录
+function destroyRoom(roomId) {
+    const room = rooms[roomId];
+    roomState.disposeRoom(room);
+    delete rooms[roomId];
+    archiveRoomHistory(room);
+}
+
+// 房主不在房间或已离线时，将房主身份移交给下一位玩家 (优先在线玩家)
+function transferHostIfAbsent(roomId) {
+    const room = rooms[roomId];
+    if (!room) return false;
+    const currentHost = room.players[room.host];
+    if (currentHost && currentHost.online) return false;
+
+    const candidates = Object.values(room.players).filter(p => p.nickname !== room.host && !p.isBot);
+    const nextHost = candidates.find(p => p.online) || (currentHost ? null : candidates[0]);
+    if (!nextHost) {
+        if (!currentHost) room.host = null;
+        return false;
+    }
+    room.host = nextHost.nickname;
+    broadcastMessage(roomId, `👑 房主身份已移交给【${nextHost.nickname}】。`);
+    scheduleSaveRooms();
+    return true;
+}
+
+// 有玩家加入或重连时，若房主已缺席超过重连时限，则移交房主
+function claimHostIfVacant(roomId) {
+    const room = rooms[roomId];
+    const host = room.players[room.host];
+    if (!host || (!host.online && Date.now() - host.disconnectTime >= RECONNECT_TIMEOUT_MS)) {
+        transferHostIfAbsent(roomId);
+    }
+}
+
+// 将玩家移出房间：通知并断开其连接，清理其待验证的答案
+function kickPlayer(roomId, nickname, reason) {
+    const room = rooms[roomId];
+    const player = room.players[nickname];
+
+    // 1. 如果玩家在线，通知并断开连接
+    if (player.online && io.sockets.sockets.get(player.socketId)) {
+        const targetSocket = io.sockets.sockets.get(player.socketId);
+        targetSocket.emit('kicked', reason);
+        setTimeout(() => {
+            if (targetSocket) targetSocket.disconnect(true);
+        }, 50);
+    }
+
+    // 2. 清理该玩家的答案和投票
+    room.validationQueue = room.validationQueue.filter(s => s.nickname !== nickname);
+    if (room.currentVote) {
+        if (room.currentVote.submission.nickname === nickname) {
+            closeVote(room);
+        } else if (room.currentVote.voters.includes(nickname)) {
+            roomState.clearTimer(room, `vote:${nickname}`);
+            delete room.currentVote.votes[nickname];
+            room.currentVote.voters = room.currentVote.voters.filter(v => v !== nickname);
+        }
+    }
+
+    // 3. 无论在线与否，都直接、无条件地从数据中移除
+    const roomDestroyed = removePlayerFromRoom(roomId, nickname);
+
+    // 4. 广播状态更新并继续处理队列
+    if (!roomDestroyed) {
+        const { currentVote } = room;
+        if (currentVote && Object.keys(currentVote.votes).length >= currentVote.voters.length) {
+            handleVoteEnd(roomId);
+        } else {
+            processValidationQueue(roomId);
+        }
+        broadcastGameState(roomId); // 更新房间内其他玩家的视图
+    }
+    broadcastRoomList();      // 更新大厅和管理员界面的玩家计数
+    scheduleSaveRooms();
+}
+
 app.use(express.static(path.join(__dirname, 'public')));
 app.get('/room/:roomId', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
+app.get('/leaderboard', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// 有密码的房间只向持有重连凭证的玩家开放历史记录
+app.get('/api/rooms/:roomId/history.:format(json|md)', async (req, res) => {
+    const { roomId, format } = req.params;
+    const room = rooms[roomId];
+    if (!room) {
+        return res.status(404).json({ message: '房间不存在' });
+    }
+    if (!canReadRoomHistory(room, getHistoryCredentials(req))) {
+        return res.status(403).json({ message: '该房间需要密码，只有房间内的玩家可以查看记录' });
+    }
+    const entries = await readHistoryEntries(room.historyId);
+    if (req.query.download) {
+        res.attachment(`poem-chain-${roomId}.${format}`);
+    }
+    if (format === 'md') {
+        res.type('text/markdown').send(formatHistoryMarkdown(room.name, entries));
+    } else {
+        res.json({ roomId: roomId, roomName: room.name, entries: entries });
+    }
+});
+
+// 往期接龙：历史记录ID含有随机部分，只发给房间内的人，持有ID即可查看；房间解散后保留一段时间
+app.get('/api/history/:historyId.:format(json|md)', async (req, res) => {
+    const { historyId, format } = req.params;
+    const room = Object.values(rooms).find(r => r.historyId === historyId);
+    const archived = historyArchive[historyId];
+    if (!isShareableHistoryId(historyId) || (!room && !archived)) {
+        return res.status(404).json({ message: '记录不存在或已过期' });
+    }
+    const roomId = room ? room.id : archived.roomId;
+    const roomName = room ? room.name : archived.roomName;
+    const entries = await readHistoryEntries(historyId);
+    if (req.query.download) {
+        res.attachment(`poem-chain-${roomId}.${format}`);
+    }
+    if (format === 'md') {
+        res.type('text/markdown').send(formatHistoryMarkdown(roomName, entries));
+    } else {
+        res.json({ roomId: roomId, roomName: roomName, endedAt: archived ? archived.endedAt : null, entries: entries });
+    }
+});
+
+app.get('/api/leaderboard', (req, res) => {
+    const sortKey = LEADERBOARD_SORTS.includes(req.query.sort) ? req.query.sort : LEADERBOARD_SORTS[0];
+    res.json({ sort: sortKey, players: getLeaderboard(sortKey) });
+});
 
 io.on('connection', (socket) => {
     console.log(`一位玩家已连接: ${socket.id}`);
@@ -327,6 +1113,7 @@ io.on('connection', (socket) => {
     });
 
     socket.join('lobby');
+    socket.profileId = getProfileId(socket.handshake.auth?.profileKey);
 
     socket.getPlayerInfo = function() {
         if (!this.roomId || !this.nickname) return null;
@@ -337,50 +1124,85 @@ io.on('connection', (socket) => {
         socket.emit('roomListUpdate', getLobbyInfo());
     });
 
+    socket.on('getMyStats', () => {
+        const stats = playerStats[socket.profileId];
+        socket.emit('myStats', stats ? formatPlayerStats(stats) : null);
+    });
+
     socket.on('validateRoom', (roomId) => {
         if (rooms[roomId]) {
             socket.emit('roomValidationResult', {
                 exists: true,
                 roomName: rooms[roomId].name,
                 roomId: roomId,
+                requiresPassword: !!rooms[roomId].passwordHash,
             });
         } else {
             socket.emit('roomValidationResult', { exists: false });
         }
     });
 
-    socket.on('createRoom', ({ roomName, nickname }) => {
+    socket.on('createRoom', ({ roomName, nickname, mode, settings, isUnlisted, password, practice }) => {
         const roomId = roomName || crypto.randomBytes(2).toString('hex').toUpperCase();
         if (rooms[roomId]) {
             socket.emit('joinError', `房间 "${roomId}" 已存在。`);
             return;
         }
+        const { settings: roomSettings, error } = sanitizeRoomSettings(settings);
+        if (error) {
+            socket.emit('joinError', error);
+            return;
+        }
+        // 单人练习房间不公开、不设密码，其他人无法加入
+        const roomPassword = typeof password === 'string' && !practice ? password : '';
+        if (roomPassword.length > 20) {
+            socket.emit('joinError', '房间密码不能超过20个字符。');
+            return;
+        }
+        const passwordSalt = roomPassword ? crypto.randomBytes(16).toString('hex') : null;
         rooms[roomId] = {
             id: roomId,
             name: roomId,
             players: {},
+            spectators: {},
             isPermanent: false,
-            currentStartChar: '月',
+            isUnlisted: !!isUnlisted || !!practice,
+            isPractice: !!practice,
+            passwordSalt: passwordSalt,
+            passwordHash: roomPassword ? hashPassword(roomPassword, passwordSalt) : null,
+            historyId: createHistoryId(roomId),
+            host: nickname,
+            mode: GAME_MODES[mode] ? mode : 'classic',
+            settings: roomSettings,
+            feihuaPosition: 1,
+            match: createMatch(),
+            currentStartChar: roomSettings.startChar,
             usedSentences: [],
             validationQueue: [],
             currentVote: null,
             messages: [],
+            chatMessages: [],
         };
+        armMatchTimer(roomId);
         scheduleSaveRooms();
         console.log(`房间已创建: ${roomId}`);
-        joinRoom(socket, roomId, nickname);
+        joinRoom(socket, roomId, nickname, { password: roomPassword });
     });
 
-    socket.on('joinRoom', ({ roomId, nickname }) => {
+    socket.on('joinRoom', ({ roomId, nickname, asSpectator, password, token }) => {
         if (!rooms[roomId]) {
             socket.emit('joinError', '房间不存在或已解散。');
             return;
         }
-        joinRoom(socket, roomId, nickname);
+        joinRoom(socket, roomId, nickname, { asSpectator: !!asSpectator, password, token });
+    });
+
+    socket.on('takeSeat', () => {
+        if (socket.roomId) handleTakeSeat(socket, socket.roomId);
     });
 
-    socket.on('reconnectPlayer', ({ roomId, nickname }) => {
-        reconnectPlayer(socket, roomId, nickname);
+    socket.on('reconnectPlayer', ({ roomId, nickname, token }) => {
+        reconnectPlayer(socket, roomId, nickname, token);
     });
 
     socket.on('leaveRoom', () => {
@@ -394,25 +1216,28 @@ io.on('connection', (socket) => {
     socket.on('submitAnswer', (answer) => {
         if (socket.roomId) handlePlayerInput(socket, socket.roomId, answer);
     });
+    socket.on('chatMessage', (text) => {
+        if (socket.roomId) handleChatMessage(socket, socket.roomId, text);
+    });
 
     socket.on('withdrawAnswer', () => {
         if (!socket.roomId || !socket.nickname) return;
         const room = rooms[socket.roomId];
         const nickname = socket.nickname;
 
-        const isVotingOnThis = room.currentVote && room.currentVote.submission.nickname === nickname;
-        
-        const initialLength = room.validationQueue.length;
+        // 质疑投票针对的是已确认的诗句，不在队列中，撤回新提交的答案不能中断它
+        const votedSubmission = room.currentVote && !room.currentVote.challenge ? room.currentVote.submission : null;
+        const withdrawn = room.validationQueue.filter(submission => submission.nickname === nickname);
+        const isVotingOnThis = withdrawn.includes(votedSubmission);
         room.validationQueue = room.validationQueue.filter(
             (submission) => submission.nickname !== nickname
         );
 
-        if (room.validationQueue.length < initialLength && room.players[nickname] && socket.roomId) {
+        if (withdrawn.length > 0 && room.players[nickname] && socket.roomId) {
             broadcastMessage(socket.roomId, `玩家【${nickname}】撤回了答案。`);
             
             if (isVotingOnThis) {
-                Object.values(room.currentVote.timeouts).forEach(clearTimeout);
-                room.currentVote = null;
+                closeVote(room);
                 broadcastMessage(socket.roomId, `投票已中断。`);
             }
             broadcastGameState(socket.roomId);
@@ -426,6 +1251,41 @@ io.on('connection', (socket) => {
     socket.on('chooseNewChar', ({ char }) => {
         if (socket.roomId) handleCharChoice(socket, socket.roomId, char);
     });
+    socket.on('challengeAnswer', () => {
+        if (socket.roomId) handleChallenge(socket, socket.roomId);
+    });
+    socket.on('requestHint', () => {
+        if (socket.roomId) handleHintRequest(socket, socket.roomId);
+    });
+    socket.on('updateRoomSettings', (settings) => {
+        if (socket.roomId) handleSettingsUpdate(socket, socket.roomId, settings);
+    });
+
+    // --- 房主操作 ---
+    socket.on('kickPlayer', (nickname) => {
+        if (socket.roomId) handleHostKick(socket, socket.roomId, nickname);
+    });
+    socket.on('resetScores', () => {
+        if (socket.roomId) handleHostResetScores(socket, socket.roomId);
+    });
+    socket.on('skipVote', () => {
+        if (socket.roomId) handleHostSkipVote(socket, socket.roomId);
+    });
+    socket.on('forceStartChar', (char) => {
+        if (socket.roomId) handleHostForceStartChar(socket, socket.roomId, char);
+    });
+    socket.on('transferHost', (nickname) => {
+        if (socket.roomId) handleHostTransfer(socket, socket.roomId, nickname);
+    });
+    socket.on('rematch', () => {
+        if (socket.roomId) handleRematch(socket, socket.roomId);
+    });
+    socket.on('addBot', (level) => {
+        if (socket.roomId) handleAddBot(socket, socket.roomId, level);
+    });
+    socket.on('endPractice', () => {
+        if (socket.roomId) handleEndPractice(socket, socket.roomId);
+    });
 });
 
 function handlePlayerDisconnect(socket, { graceful = false }) {
@@ -437,6 +1297,11 @@ function handlePlayerDisconnect(socket, { graceful = false }) {
         return;
     }
 
+    if (socket.isSpectator) {
+        handleSpectatorLeave(socket, roomId);
+        return;
+    }
+
     const player = room.players[nickname];
     if (!player) return;
 
@@ -445,6 +1310,7 @@ function handlePlayerDisconnect(socket, { graceful = false }) {
             player.online = false;
             player.disconnectTime = Date.now();
             broadcastMessage(roomId, `--- 玩家【${player.nickname}】离开了房间 ---`);
+            transferHostIfAbsent(roomId);
         } else {
             broadcastMessage(roomId, `--- 玩家【${player.nickname}】离开了房间 ---`);
             removePlayerFromRoom(roomId, nickname);
@@ -455,11 +1321,17 @@ function handlePlayerDisconnect(socket, { graceful = false }) {
         broadcastMessage(roomId, `--- 玩家【${player.nickname}】已断开连接，等待重连... ---`);
 
         if (room.isPermanent) {
+            // 永久房间不移除离线玩家，但房主超时未归时移交房主身份
+            roomState.setTimer(room, `reconnect:${nickname}`, RECONNECT_TIMEOUT_MS, () => {
+                if (rooms[roomId]?.players[nickname] && !rooms[roomId].players[nickname].online) {
+                    if (transferHostIfAbsent(roomId)) broadcastGameState(roomId);
+                }
+            });
             broadcastGameState(roomId);
             return;
         }
 
-        reconnectTimeouts[nickname] = setTimeout(() => {
+        roomState.setTimer(room, `reconnect:${nickname}`, RECONNECT_TIMEOUT_MS, () => {
             if (
                 rooms[roomId] &&
                 rooms[roomId].players[nickname] &&
@@ -475,15 +1347,15 @@ function handlePlayerDisconnect(socket, { graceful = false }) {
                 scheduleSaveRooms();
                 broadcastRoomList();
             }
-        }, RECONNECT_TIMEOUT_MS);
+        });
     }
 
     socket.leave(roomId);
 
     if (room.currentVote?.voters.includes(player.nickname) && !room.currentVote.votes[player.nickname]) {
-        clearTimeout(room.currentVote.timeouts[player.nickname]);
-        delete room.currentVote.timeouts[player.nickname];
+        roomState.clearTimer(room, `vote:${player.nickname}`);
         room.currentVote.votes[player.nickname] = 'valid';
+        room.currentVote.autoVotes.push(player.nickname);
         broadcastMessage(roomId, `玩家【${player.nickname}】断开连接，自动计为赞同。`);
         
         if (Object.keys(room.currentVote.votes).length >= room.currentVote.voters.length) {
@@ -498,13 +1370,13 @@ function handlePlayerDisconnect(socket, { graceful = false }) {
     broadcastRoomList();
 }
 
-function joinRoom(socket, roomId, nickname) {
+function joinRoom(socket, roomId, nickname, { asSpectator = false, password = '', token = null } = {}) {
     const room = rooms[roomId];
     if (!nickname || nickname.length > 10 || nickname.length < 1) {
         socket.emit('joinError', '昵称不合法 (1-10个字符)。');
         return;
     }
-    const isTakenOnline = Object.values(room.players).some(
+    const isTakenOnline = [...Object.values(room.players), ...Object.values(room.spectators)].some(
         (p) => p.nickname.toLowerCase() === nickname.toLowerCase() && p.online
     );
     if (isTakenOnline) {
@@ -513,17 +1385,39 @@ function joinRoom(socket, roomId, nickname) {
     }
     
     const offlinePlayer = room.players[nickname];
-    if (offlinePlayer) {
-        reconnectPlayer(socket, roomId, nickname);
+    const playerCount = Object.keys(room.players).length;
+    if (room.isPractice && !offlinePlayer && playerCount > 0) {
+        socket.emit('joinError', '这是单人练习房间，其他人无法加入。');
+    } else if (offlinePlayer && !verifyPlayerToken(offlinePlayer, token)) {
+        socket.emit('joinError', offlinePlayer.tokenHash
+            ? '该昵称属于一位离线玩家，只能由其本人重新进入。'
+            : '该席位尚未认领，请联系管理员允许认领后再进入。');
+    } else if (offlinePlayer) {
+        // 已在房间中的玩家重新加入时无需再次输入密码
+        reconnectPlayer(socket, roomId, nickname, token);
+    } else if (!checkRoomPassword(room, password)) {
+        socket.emit('joinError', password ? '房间密码错误。' : '该房间需要密码才能加入。');
+    } else if (asSpectator) {
+        joinAsSpectator(socket, roomId, nickname);
+    } else if (playerCount >= room.settings.maxPlayers) {
+        socket.emit('joinError', `房间已满 (${playerCount}/${room.settings.maxPlayers})，可以选择观战。`);
     } else {
         socket.leave('lobby');
         socket.join(roomId);
         socket.roomId = roomId;
         socket.nickname = nickname;
 
-        room.players[nickname] = { nickname: nickname, score: 0, online: true, socketId: socket.id };
-        socket.emit('joinSuccess', { roomId: roomId, roomName: room.name });
+        room.players[nickname] = {
+            nickname: nickname,
+            score: 0,
+            online: true,
+            socketId: socket.id,
+            profileId: socket.profileId,
+        };
+        const playerToken = issuePlayerToken(room.players[nickname]);
+        socket.emit('joinSuccess', { roomId: roomId, roomName: room.name, token: playerToken });
         broadcastMessage(roomId, `--- 欢迎玩家【${nickname}】加入房间！ ---`);
+        claimHostIfVacant(roomId);
         
         if (room.currentVote) {
             socket.emit('voteInProgress', { answer: room.currentVote.submission.answer });
@@ -534,20 +1428,80 @@ function joinRoom(socket, roomId, nickname) {
     }
 }
 
-function reconnectPlayer(socket, roomId, nickname) {
+// 观众只接收房间状态与消息，不参与作答和投票，也不会被持久化
+function joinAsSpectator(socket, roomId, nickname) {
     const room = rooms[roomId];
-    if (!room) {
-        socket.emit('reconnectError', '房间已不存在。');
-        return;
-    }
-    const playerData = room.players[nickname];
-
-    if (playerData && !playerData.online) {
-        clearTimeout(reconnectTimeouts[nickname]);
-        delete reconnectTimeouts[nickname];
+    socket.leave('lobby');
+    socket.join(roomId);
+    socket.roomId = roomId;
+    socket.nickname = nickname;
+    socket.isSpectator = true;
+
+    room.spectators[nickname] = { nickname: nickname, online: true, socketId: socket.id };
+    socket.emit('joinSuccess', { roomId: roomId, roomName: room.name, spectator: true });
+    broadcastMessage(roomId, `--- 观众【${nickname}】进入房间观战 ---`);
+    broadcastGameState(roomId);
+    broadcastRoomList();
+}
 
-        playerData.online = true;
+function handleSpectatorLeave(socket, roomId) {
+    const room = rooms[roomId];
+    const { nickname } = socket;
+    socket.leave(roomId);
+    socket.isSpectator = false;
+    if (!room.spectators[nickname]) return;
+
+    delete room.spectators[nickname];
+    broadcastMessage(roomId, `--- 观众【${nickname}】离开了房间 ---`);
+    broadcastGameState(roomId);
+    broadcastRoomList();
+}
+
+function handleTakeSeat(socket, roomId) {
+    const room = rooms[roomId];
+    const { nickname } = socket;
+    if (!room || !socket.isSpectator || !room.spectators[nickname]) return;
+
+    const playerCount = Object.keys(room.players).length;
+    if (playerCount >= room.settings.maxPlayers) {
+        sendPrivateMessage(socket, `提示：房间已满 (${playerCount}/${room.settings.maxPlayers})，请等待空位。`);
+        return;
+    }
+    delete room.spectators[nickname];
+    socket.isSpectator = false;
+    room.players[nickname] = {
+        nickname: nickname,
+        score: 0,
+        online: true,
+        socketId: socket.id,
+        profileId: socket.profileId,
+    };
+    socket.emit('seatTaken', { token: issuePlayerToken(room.players[nickname]) });
+    broadcastMessage(roomId, `--- 观众【${nickname}】入座成为玩家！ ---`);
+    claimHostIfVacant(roomId);
+    broadcastGameState(roomId);
+    broadcastRoomList();
+    scheduleSaveRooms();
+}
+
+function reconnectPlayer(socket, roomId, nickname, token) {
+    const room = rooms[roomId];
+    if (!room) {
+        socket.emit('reconnectError', '房间已不存在。');
+        return;
+    }
+    const playerData = room.players[nickname];
+
+    if (playerData && !playerData.online && verifyPlayerToken(playerData, token)) {
+        // 认领席位时作废旧凭证并补发新凭证
+        const newToken = playerData.claimable ? issuePlayerToken(playerData) : undefined;
+        delete playerData.claimable;
+        delete playerData.unclaimed;
+        roomState.clearTimer(room, `reconnect:${nickname}`);
+
+        playerData.online = true;
         playerData.socketId = socket.id;
+        if (socket.profileId) playerData.profileId = socket.profileId;
         delete playerData.disconnectTime;
 
         socket.leave('lobby');
@@ -555,16 +1509,17 @@ function reconnectPlayer(socket, roomId, nickname) {
         socket.roomId = roomId;
         socket.nickname = nickname;
 
-        socket.emit('joinSuccess', { roomId: roomId, roomName: room.name });
+        socket.emit('joinSuccess', { roomId: roomId, roomName: room.name, token: newToken });
         broadcastMessage(roomId, `--- 玩家【${nickname}】已重新连接！ ---`);
+        claimHostIfVacant(roomId);
         
         if (room.currentVote) {
             if (room.currentVote.voters.includes(nickname)) {
                 if (!room.currentVote.votes[nickname]) {
-                    clearTimeout(room.currentVote.timeouts[nickname]);
-                    room.currentVote.timeouts[nickname] = setTimeout(() => {
+                    // 按原定截止时间计时，重连不会延长投票
+                    roomState.setTimer(room, `vote:${nickname}`, room.currentVote.endTime - Date.now(), () => {
                         handleVoteTimeout(roomId, nickname);
-                    }, 15000);
+                    });
                 }
             } else {
                 socket.emit('voteInProgress', { answer: room.currentVote.submission.answer });
@@ -574,6 +1529,7 @@ function reconnectPlayer(socket, roomId, nickname) {
         broadcastGameState(roomId);
         broadcastRoomList();
         scheduleSaveRooms();
+        processValidationQueue(roomId); // 服务器重启后留在队列中的答案在玩家回来后继续验证
     } else {
         socket.emit('reconnectError', '无法重连，请尝试使用新昵称加入。');
     }
@@ -589,25 +1545,50 @@ function scheduleSaveRooms() {
                     id: rooms[roomId].id,
                     name: rooms[roomId].name,
                     isPermanent: rooms[roomId].isPermanent,
+                    isUnlisted: rooms[roomId].isUnlisted,
+                    isPractice: rooms[roomId].isPractice,
+                    passwordSalt: rooms[roomId].passwordSalt,
+                    passwordHash: rooms[roomId].passwordHash,
+                    historyId: rooms[roomId].historyId,
+                    host: rooms[roomId].host,
+                    mode: rooms[roomId].mode,
+                    settings: rooms[roomId].settings,
                     players: Object.fromEntries(
                         Object.entries(rooms[roomId].players).map(([nick, data]) => [
                             nick,
-                            { nickname: data.nickname, score: data.score, online: false, disconnectTime: data.disconnectTime },
+                            {
+                                nickname: data.nickname,
+                                score: data.score,
+                                online: false,
+                                disconnectTime: data.disconnectTime,
+                                tokenHash: data.tokenHash,
+                                unclaimed: data.unclaimed,
+                                claimable: data.claimable,
+                                profileId: data.profileId,
+                                isBot: data.isBot,
+                                botLevel: data.botLevel,
+                            },
                         ])
                     ),
                     currentStartChar: rooms[roomId].currentStartChar,
+                    feihuaPosition: rooms[roomId].feihuaPosition,
+                    match: rooms[roomId].match,
                     usedSentences: rooms[roomId].usedSentences,
                     validationQueue: rooms[roomId].validationQueue,
                     messages: rooms[roomId].messages,
+                    chatMessages: rooms[roomId].chatMessages,
+                    choice: rooms[roomId].choice || null,
                     currentVote: rooms[roomId].currentVote ? {
                         submission: rooms[roomId].currentVote.submission,
                         votes: rooms[roomId].currentVote.votes,
                         voters: rooms[roomId].currentVote.voters,
+                        autoVotes: rooms[roomId].currentVote.autoVotes,
                         endTime: rooms[roomId].currentVote.endTime,
+                        challenge: rooms[roomId].currentVote.challenge,
                     } : null,
                 };
             }
-            await fs.writeFile(ROOMS_FILE, JSON.stringify(roomsToSave, null, 2));
+            await storage.writeDocument('rooms', roomsToSave);
             console.log('房间数据已保存。');
         } catch (error) {
             console.error('保存房间数据失败:', error);
@@ -615,23 +1596,99 @@ function scheduleSaveRooms() {
     }, 2000);
 }
 
-function scheduleSaveCache() {
+function scheduleSaveCache(sentence) {
+    dirtyCacheKeys.add(sentence);
     clearTimeout(saveCacheTimeout);
     saveCacheTimeout = setTimeout(async () => {
+        const changed = [...dirtyCacheKeys];
+        dirtyCacheKeys = new Set();
         try {
-            await fs.writeFile(VALID_SENTENCES_FILE, JSON.stringify(localCache, null, 2));
+            await storage.saveCollection('valid_sentences', getCacheEntries, {
+                upserts: changed.filter(key => localCache.has(key)).map(key => localCache.get(key)),
+                removes: changed.filter(key => !localCache.has(key)),
+            });
             console.log('有效诗句缓存已保存。');
+            io.to('admin').emit('adminCacheUpdate'); // 管理员界面只重新获取当前页，不再随房间状态刷新
         } catch (error) {
+            changed.forEach(key => dirtyCacheKeys.add(key)); // 留待下次保存时重试
             console.error('保存诗句缓存失败:', error);
         }
     }, 2000);
 }
 
+function scheduleSaveSettings() {
+    clearTimeout(saveSettingsTimeout);
+    saveSettingsTimeout = setTimeout(async () => {
+        try {
+            await storage.writeDocument('settings', serverSettings);
+            console.log('服务器设置已保存。');
+        } catch (error) {
+            console.error('保存服务器设置失败:', error);
+        }
+    }, 2000);
+}
+
+function scheduleSavePending() {
+    clearTimeout(savePendingTimeout);
+    savePendingTimeout = setTimeout(async () => {
+        try {
+            await storage.writeDocument('pending_sentences', pendingSentences);
+            console.log('待批准诗句已保存。');
+        } catch (error) {
+            console.error('保存待批准诗句失败:', error);
+        }
+    }, 2000);
+}
+
+function scheduleSaveHistoryArchive() {
+    clearTimeout(saveHistoryArchiveTimeout);
+    saveHistoryArchiveTimeout = setTimeout(async () => {
+        try {
+            await storage.writeDocument('history_archive', historyArchive);
+            console.log('往期接龙记录索引已保存。');
+        } catch (error) {
+            console.error('保存往期接龙记录索引失败:', error);
+        }
+    }, 2000);
+}
+
+function scheduleSaveCacheFlags() {
+    clearTimeout(saveCacheFlagsTimeout);
+    saveCacheFlagsTimeout = setTimeout(async () => {
+        try {
+            await storage.writeDocument('cache_flags', cacheFlags);
+            console.log('待审核诗句已保存。');
+        } catch (error) {
+            console.error('保存待审核诗句失败:', error);
+        }
+    }, 2000);
+}
+
+function scheduleSavePlayerStats() {
+    clearTimeout(savePlayerStatsTimeout);
+    savePlayerStatsTimeout = setTimeout(async () => {
+        try {
+            await storage.writeDocument('player_stats', playerStats);
+            console.log('玩家统计数据已保存。');
+        } catch (error) {
+            console.error('保存玩家统计数据失败:', error);
+        }
+    }, 2000);
+}
+
 function handlePlayerInput(socket, roomId, answer) {
     const room = rooms[roomId];
     const { nickname } = socket;
     if (!nickname || !room.players[nickname]) return;
 
+    if (room.match.ended) {
+        sendPrivateMessage(socket, '提示：本局已结束，请等待房主发起再来一局。');
+        return;
+    }
+    if (roomState.getPhase(room) === 'choosing') {
+        sendPrivateMessage(socket, '提示：正在选择下一个起始字，请稍候再作答。');
+        return;
+    }
     const alreadySubmitted = room.validationQueue.some(s => s.nickname === nickname);
     if (alreadySubmitted) {
         sendPrivateMessage(socket, '提示：你已提交一个答案，请等待验证或撤回。');
@@ -649,7 +1706,20 @@ function handlePlayerInput(socket, roomId, answer) {
         sendPrivateMessage(socket, `提示：诗句 [${trimmedAnswer}] 最近已被使用，请换一个。`);
         return;
     }
-    if (!trimmedAnswer.includes(room.currentStartChar)) {
+    if (room.mode === 'chain') {
+        if (!trimmedAnswer.startsWith(room.currentStartChar)) {
+            sendPrivateMessage(socket, `提示：您的答案须以起始字【${room.currentStartChar}】开头，未被提交。`);
+            return;
+        }
+    } else if (room.mode === 'feihua') {
+        if (normalizedAnswer[room.feihuaPosition - 1] !== room.currentStartChar) {
+            sendPrivateMessage(
+                socket,
+                `提示：本轮飞花令要求【${room.currentStartChar}】位于第 ${room.feihuaPosition} 个字，您的答案不符合，未被提交。`
+            );
+            return;
+        }
+    } else if (!trimmedAnswer.includes(room.currentStartChar)) {
         sendPrivateMessage(socket, '提示：您的答案不包含起始字，未被提交。');
         return;
     }
@@ -658,23 +1728,91 @@ function handlePlayerInput(socket, roomId, answer) {
     processValidationQueue(roomId);
 }
 
+// 聊天与作答完全分开：不做诗句校验，也不会进入验证队列
+function handleChatMessage(socket, roomId, text) {
+    const room = rooms[roomId];
+    const { nickname } = socket;
+    if (!room || !nickname || !(room.players[nickname] || room.spectators[nickname])) return;
+    const content = typeof text === 'string' ? text.trim() : '';
+    if (!content) return;
+    if (content.length > CHAT_MAX_LENGTH) {
+        sendPrivateMessage(socket, `提示：聊天消息不能超过 ${CHAT_MAX_LENGTH} 个字。`);
+        return;
+    }
+    const now = Date.now();
+    socket.chatTimestamps = (socket.chatTimestamps || []).filter(t => now - t < CHAT_RATE_LIMIT.windowMs);
+    if (socket.chatTimestamps.length >= CHAT_RATE_LIMIT.count) {
+        sendPrivateMessage(socket, '提示：发言太频繁，请稍后再试。');
+        return;
+    }
+    socket.chatTimestamps.push(now);
+
+    const message = {
+        content: content,
+        nickname: nickname,
+        spectator: !!socket.isSpectator,
+        className: 'chat-message',
+        timestamp: now,
+    };
+    room.chatMessages.push(message);
+    if (room.chatMessages.length > CHAT_HISTORY_LIMIT) room.chatMessages.shift();
+    io.to(roomId).emit('newMessage', message);
+    scheduleSaveRooms();
+}
+
 async function processValidationQueue(roomId) {
     const room = rooms[roomId];
-    if (!room || room.currentVote || room.validationQueue.length === 0)
+    if (!room) return;
+    if (room.validationQueue.length === 0) {
+        // 驳回或记入待确认后队列清空，回到等待阶段并通知客户端，否则界面会停留在“验证中”
+        if (roomState.getPhase(room) === 'validating' && roomState.transition(room, 'waiting')) {
+            broadcastGameState(roomId);
+        }
         return;
-    
+    }
+    // 投票、选字进行中或本局已结束时，答案留在队列中等待
+    if (!roomState.canTransition(room, 'validating')) return;
+    roomState.transition(room, 'validating');
+
     const submission = room.validationQueue[0];
     broadcastGameState(roomId);
     broadcastMessage(roomId, `正在验证 [${submission.answer}] (来自玩家【${submission.nickname}】)...`);
-    const normalizedKey = normalizeSentence(submission.answer);
-    if (localCache.includes(normalizedKey)) {
-        room.validationQueue.shift();
-        broadcastMessage(roomId, `[${submission.answer}] 命中缓存，确认为合法诗句！`);
-        handleCorrectAnswer(roomId, submission);
+    submission.verdicts = [];
+    const context = { roomId, room, submission, normalizedKey: normalizeSentence(submission.answer) };
+    for (const validator of VALIDATORS.filter(v => room.settings.validators.includes(v.id))) {
+        const result = validator.validate(context);
+        submission.verdicts.push({ validator: validator.id, verdict: result.verdict, reason: result.reason || null });
+        if (result.verdict === 'accept') {
+            room.validationQueue.shift();
+            submission.validatedBy = result.validatedBy || validator.id;
+            broadcastMessage(roomId, `[${submission.answer}] ${result.reason}`);
+            handleCorrectAnswer(roomId, submission);
+            return;
+        }
+        if (result.verdict === 'reject') {
+            rejectSubmission(roomId, submission, `未通过${validator.label}：${result.reason}`);
+            return;
+        }
+        if (result.verdict === 'pending') return;
+    }
+    if (room.isPractice) {
+        handlePracticeUnknownLine(roomId, submission);
         return;
     }
-    broadcastMessage(roomId, `[${submission.answer}] 将由玩家投票决定其有效性...`);
-    startPlayerVote(roomId, submission);
+    rejectSubmission(roomId, submission, '没有验证器能确认该句，未通过。');
+}
+
+function rejectSubmission(roomId, submission, message) {
+    const room = rooms[roomId];
+    room.validationQueue.shift();
+    broadcastMessage(roomId, `[${submission.answer}] ${message}`);
+    getMatchStats(room, submission.nickname).rejected++;
+    updatePlayerStats(room, submission.nickname, stats => {
+        stats.linesRejected++;
+    });
+    if (room.isPractice) getPracticeStats(room).streak = 0;
+    broadcastGameState(roomId);
+    processValidationQueue(roomId);
 }
 
 function handleCorrectAnswer(roomId, submission) {
@@ -691,57 +1829,193 @@ function handleCorrectAnswer(roomId, submission) {
     scheduleSaveRooms();
     room.validationQueue = [];
     const normalizedAnswer = normalizeSentence(submission.answer);
+    submission.source = lookupPoemSource(normalizedAnswer);
+    if (submission.source) {
+        const { dynasty, author, title } = submission.source;
+        const dynastyLabel = dynasty ? `[${dynasty}] ` : '';
+        broadcastMessage(
+            roomId,
+            `📜 [${submission.answer}] 出自 ${dynastyLabel}${author}《${title}》`,
+            'source-message',
+            { source: submission.source }
+        );
+    }
     room.usedSentences.push(normalizedAnswer);
-    if (room.usedSentences.length > 50) {
+    while (room.usedSentences.length > room.settings.usedSentencesLimit) {
         room.usedSentences.shift();
     }
+    room.match.roundsPlayed++;
+    getMatchStats(room, winnerPlayer.nickname).accepted++;
+    const startChar = room.currentStartChar;
+    const acceptedAt = Date.now();
+    updatePlayerStats(room, winnerPlayer.nickname, stats => {
+        stats.linesAccepted++;
+        stats.startChars[startChar] = (stats.startChars[startChar] || 0) + 1;
+    });
+    appendRoomHistory(room, {
+        matchStart: room.match.startTime,
+        answer: submission.answer,
+        nickname: winnerPlayer.nickname,
+        mode: room.mode,
+        startChar: startChar,
+        feihuaPosition: room.mode === 'feihua' ? room.feihuaPosition : undefined,
+        source: submission.source
+            ? { title: submission.source.title, author: submission.source.author, dynasty: submission.source.dynasty }
+            : null,
+        validatedBy: submission.validatedBy || 'vote',
+        votes: submission.votes || null,
+        verdicts: (submission.verdicts || []).filter(v => v.verdict !== 'defer'),
+        timestamp: acceptedAt,
+    });
+    // 命中缓存的诗句在下一轮开始前可被其他玩家质疑
+    room.lastAccepted = submission.validatedBy === 'cache' ? {
+        answer: submission.answer,
+        nickname: winnerPlayer.nickname,
+        previousStartChar: startChar,
+        previousFeihuaPosition: room.feihuaPosition,
+        acceptedAt: acceptedAt,
+        challengeDeadline: acceptedAt + room.settings.choiceDuration * 1000,
+    } : null;
+    if (room.isPractice) recordPracticeAnswer(room, startChar, acceptedAt);
+    if (checkWinCondition(roomId)) return;
     
-    const winnerNickname = winnerPlayer.nickname;
-    const CHOICE_DURATION_MS = 15000;
-    const choiceEndTime = Date.now() + CHOICE_DURATION_MS;
-    choiceTimeouts[roomId] = {
+    if (room.mode === 'chain') {
+        const lastChar = normalizedAnswer[normalizedAnswer.length - 1];
+        room.currentStartChar = lastChar;
+        roomState.transition(room, 'waiting');
+        broadcastMessage(roomId, `🎉 接龙成功！下一句须以【${lastChar}】开头。新一轮开始！`);
+        broadcastGameState(roomId);
+        return;
+    }
+
+    if (room.mode === 'feihua') {
+        room.feihuaPosition = room.feihuaPosition % FEIHUA_MAX_POSITION + 1;
+        roomState.transition(room, 'waiting');
+        broadcastMessage(
+            roomId,
+            `🎉 飞花令继续！下一句【${room.currentStartChar}】须位于第 ${room.feihuaPosition} 个字。新一轮开始！`
+        );
+        broadcastGameState(roomId);
+        return;
+    }
+
+    if (room.isPractice) {
+        // 练习时自动换字，尽量不与本轮起始字重复
+        startNewRound(roomId, pickNextStartChar(submission.answer, false, room.currentStartChar), '系统');
+        return;
+    }
+    startCharChoice(roomId, winnerPlayer.nickname, submission.answer);
+}
+
+function startCharChoice(roomId, winnerNickname, answer) {
+    const room = rooms[roomId];
+    if (!roomState.transition(room, 'choosing')) return;
+    room.choice = {
         winnerNickname: winnerNickname,
-        answer: submission.answer,
-        endTime: choiceEndTime,
-        timer: setTimeout(() => {
-            if (choiceTimeouts[roomId]) {
-                const timeoutWinnerNickname = choiceTimeouts[roomId].winnerNickname;
-                delete choiceTimeouts[roomId]; 
-                broadcastMessage(roomId, `玩家【${timeoutWinnerNickname}】选择超时，系统将自动选择。`);
-                const randomChar = normalizeSentence(submission.answer)[0] || '天';
-                startNewRound(roomId, randomChar, '系统');
-            }
-        }, CHOICE_DURATION_MS),
+        answer: answer,
+        endTime: Date.now() + room.settings.choiceDuration * 1000,
     };
+    armCharChoiceTimer(roomId);
     broadcastGameState(roomId);
 }
 
-function startPlayerVote(roomId, submission) {
+// 按 room.choice.endTime 计时，超时由系统代为选字
+function armCharChoiceTimer(roomId) {
     const room = rooms[roomId];
-    if (!room) return;
+    const { winnerNickname, answer, endTime } = room.choice;
+    roomState.setTimer(room, 'choice', endTime - Date.now(), () => {
+        if (!room.choice) return;
+        delete room.choice;
+        broadcastMessage(roomId, `玩家【${winnerNickname}】选择超时，系统将自动选择。`);
+        const randomChar = normalizeSentence(answer)[0] || '天';
+        startNewRound(roomId, randomChar, '系统');
+    });
+}
+
+// 取消进行中的选字 (质疑、强制换字或本局结束时)
+function cancelCharChoice(room) {
+    roomState.clearTimer(room, 'choice');
+    delete room.choice;
+}
+
+function startPlayerVote(roomId, submission, challenge = null) {
+    const room = rooms[roomId];
+    if (!room || !roomState.transition(room, 'voting')) return;
     
     const onlinePlayers = Object.values(room.players).filter(p => p.online);
     const voters = onlinePlayers
         .filter((player) => player.nickname !== submission.nickname)
         .map(player => player.nickname);
 
-    const VOTE_DURATION_MS = 15000;
-    const voteEndTime = Date.now() + VOTE_DURATION_MS;
-    const timeouts = {};
-    voters.forEach(nickname => {
-        timeouts[nickname] = setTimeout(() => {
-            handleVoteTimeout(roomId, nickname);
-        }, VOTE_DURATION_MS);
-    });
-
     room.currentVote = {
         submission: submission,
         votes: {},
-        endTime: voteEndTime,
+        endTime: Date.now() + room.settings.voteDuration * 1000,
         voters: voters,
-        timeouts: timeouts,
+        autoVotes: [], // 超时或掉线而被自动计票的玩家
+        challenge: challenge, // 质疑投票时为 { challenger, target }
     };
+    armVoteTimers(roomId);
     broadcastGameState(roomId);
+    if (voters.length === 0) {
+        // 没有其他在线玩家时直接结算，避免投票永远挂起；
+        // 推迟到下一轮事件循环，让验证流水线先记下投票验证器的结果
+        const vote = room.currentVote;
+        roomState.setTimer(room, 'voteEnd', 0, () => {
+            if (rooms[roomId] && rooms[roomId].currentVote === vote) handleVoteEnd(roomId);
+        });
+    }
+}
+
+// 为尚未投票的玩家按 currentVote.endTime 计时，超时自动计为赞同
+function armVoteTimers(roomId) {
+    const room = rooms[roomId];
+    const { voters, votes, endTime } = room.currentVote;
+    voters.filter(nickname => !votes[nickname]).forEach(nickname => {
+        roomState.setTimer(room, `vote:${nickname}`, endTime - Date.now(), () => {
+            handleVoteTimeout(roomId, nickname);
+        });
+    });
+}
+
+// 结束当前投票 (不论结果) 并回到等待阶段，由调用方决定下一步
+function closeVote(room) {
+    roomState.clearTimers(room, 'vote:');
+    room.currentVote = null;
+    roomState.transition(room, 'waiting');
+}
+
+// 服务器重启后恢复进行中的投票与选字：按保存的 endTime 重新计时，已过期的会立即结算。
+// 提交者已不在房间的投票直接取消；选字者已不在房间时由系统代为选字
+function resumeInFlightRound(roomId) {
+    const room = rooms[roomId];
+    const vote = room.currentVote;
+    if (vote && !vote.challenge) {
+        // 从文件恢复后投票中的答案与队首不再是同一个对象，重新关联以便撤回、跳过时能找到它
+        const head = room.validationQueue[0];
+        if (head && head.nickname === vote.submission.nickname && head.answer === vote.submission.answer) {
+            vote.submission = head;
+        }
+    }
+    if (vote && !vote.challenge && !room.players[vote.submission.nickname]) {
+        closeVote(room);
+        room.validationQueue = room.validationQueue.filter(s => s !== vote.submission);
+        broadcastMessage(roomId, `服务器重启期间 [${vote.submission.answer}] 的提交者已离开，投票已取消。`);
+    } else if (vote) {
+        vote.voters = vote.voters.filter(nickname => room.players[nickname]);
+        Object.keys(vote.votes).forEach(nickname => {
+            if (!room.players[nickname]) delete vote.votes[nickname];
+        });
+        if (Object.keys(vote.votes).length >= vote.voters.length) {
+            handleVoteEnd(roomId);
+        } else {
+            armVoteTimers(roomId);
+        }
+    }
+    if (room.choice) {
+        if (!room.players[room.choice.winnerNickname]) room.choice.endTime = Date.now();
+        armCharChoiceTimer(roomId);
+    }
 }
 
 function handleVoteTimeout(roomId, nickname) {
@@ -749,7 +2023,7 @@ function handleVoteTimeout(roomId, nickname) {
     if (!room || !room.currentVote || room.currentVote.votes[nickname]) return;
 
     room.currentVote.votes[nickname] = 'valid';
-    delete room.currentVote.timeouts[nickname];
+    room.currentVote.autoVotes.push(nickname);
     broadcastMessage(roomId, `玩家【${nickname}】投票超时，自动计为赞同。`);
     broadcastGameState(roomId);
 
@@ -762,14 +2036,22 @@ function handlePlayerVote(socket, roomId, vote) {
     const room = rooms[roomId];
     const { nickname } = socket;
     if (!room || !room.currentVote || !nickname || !room.players[nickname]) return;
+    recordPlayerVote(roomId, nickname, vote);
+}
+
+// 玩家与机器人共用的计票逻辑
+function recordPlayerVote(roomId, nickname, vote) {
+    const room = rooms[roomId];
     if (
         room.currentVote.voters.includes(nickname) &&
         !room.currentVote.votes[nickname]
     ) {
-        clearTimeout(room.currentVote.timeouts[nickname]);
-        delete room.currentVote.timeouts[nickname];
+        roomState.clearTimer(room, `vote:${nickname}`);
 
         room.currentVote.votes[nickname] = vote;
+        updatePlayerStats(room, nickname, stats => {
+            stats.votesCast++;
+        });
         broadcastMessage(roomId, `玩家【${nickname}】已投票。`);
         broadcastGameState(roomId);
 
@@ -782,68 +2064,977 @@ function handlePlayerVote(socket, roomId, vote) {
 function handleVoteEnd(roomId) {
     const room = rooms[roomId];
     if (!room || !room.currentVote) return;
-    
-    Object.values(room.currentVote.timeouts).forEach(clearTimeout);
 
-    const { submission, votes: voteData, voters } = room.currentVote;
+    if (room.currentVote.challenge) {
+        handleChallengeVoteEnd(roomId);
+        return;
+    }
+    const { submission, votes: voteData, voters, autoVotes = [] } = room.currentVote;
+    closeVote(room);
     
     const totalVoters = voters.length;
     if (totalVoters === 0) {
-        room.currentVote = null;
         room.validationQueue.shift();
+        submission.validatedBy = 'vote';
+        submission.votes = { valid: 0, invalid: 0, auto: 0 };
+        recordVoteVerdict(submission, 'accept', '无人投票，自动通过');
         broadcastMessage(roomId, `[${submission.answer}] 无人投票，自动通过！`);
-        const normalizedKey = normalizeSentence(submission.answer);
-        if (!localCache.includes(normalizedKey)) {
-            localCache.push(normalizedKey);
-        }
-        scheduleSaveCache();
+        learnVotedSentence(roomId, submission);
         handleCorrectAnswer(roomId, submission);
         return;
     }
 
-    const threshold = Math.floor(totalVoters / 2) + 1;
+    const threshold = PASS_THRESHOLDS[room.settings.passThreshold](totalVoters);
     const validVotes = Object.values(voteData).filter(v => v === 'valid').length;
+    const passed = validVotes >= threshold;
 
-    room.currentVote = null;
-    room.validationQueue.shift();
-    const normalizedKey = normalizeSentence(submission.answer);
+    recordVoteAccuracy(room, voteData, autoVotes, passed);
+    const tally = `赞同 ${validVotes} 票，反对 ${Object.keys(voteData).length - validVotes} 票`;
 
-    if (validVotes >= threshold) {
+    if (passed) {
+        room.validationQueue.shift();
+        submission.validatedBy = 'vote';
+        submission.votes = {
+            valid: validVotes,
+            invalid: Object.keys(voteData).length - validVotes,
+            auto: autoVotes.length,
+        };
+        recordVoteVerdict(submission, 'accept', tally);
         broadcastMessage(roomId, `[${submission.answer}] 投票通过！`);
-        if (!localCache.includes(normalizedKey)) {
-            localCache.push(normalizedKey);
-        }
-        scheduleSaveCache();
+        learnVotedSentence(roomId, submission);
         handleCorrectAnswer(roomId, submission);
     } else {
-        broadcastMessage(roomId, `[${submission.answer}] 投票未通过。`);
+        recordVoteVerdict(submission, 'reject', `${tally}，未达到通过门槛`);
+        rejectSubmission(roomId, submission, `投票未通过 (${tally})。`);
+    }
+}
+
+// 用投票结果替换流水线中投票验证器的 pending 记录
+function recordVoteVerdict(submission, verdict, reason) {
+    const entry = (submission.verdicts || []).find(v => v.validator === 'vote');
+    if (entry) {
+        entry.verdict = verdict;
+        entry.reason = reason;
+    }
+}
+
+// 投票通过的诗句默认进入待审核列表，管理员批准后才成为全局缓存；
+// 在当前房间内它仍然算作通过
+function learnVotedSentence(roomId, submission) {
+    const normalizedKey = normalizeSentence(submission.answer);
+    if (localCache.has(normalizedKey)) return;
+    if (serverSettings.autoPromoteVoted) {
+        addCacheEntry(normalizedKey, { source: 'vote', roomId: roomId, nickname: submission.nickname });
+        return;
+    }
+    const previous = pendingSentences[normalizedKey];
+    pendingSentences[normalizedKey] = {
+        answer: submission.answer,
+        roomId: roomId,
+        nickname: submission.nickname,
+        votes: submission.votes, // { valid, invalid, auto }，auto 为超时或掉线自动计为赞同的票数
+        approvals: (previous ? previous.approvals : 0) + 1, // 被投票通过的次数
+        submittedAt: Date.now(),
+    };
+    scheduleSavePending();
+    io.to('admin').emit('adminDataUpdate');
+}
+
+// 只统计玩家亲自投出的票，自动计票不计入准确率
+function recordVoteAccuracy(room, voteData, autoVotes, passed) {
+    Object.entries(voteData).forEach(([voter, vote]) => {
+        if (autoVotes.includes(voter)) return;
+        updatePlayerStats(room, voter, stats => {
+            stats.votesJudged++;
+            if ((vote === 'valid') === passed) stats.votesCorrect++;
+        });
+    });
+}
+
+// 经典模式下质疑窗口即选字阶段；其他模式在诗句通过后的选字时长内可质疑
+function getOpenChallenge(roomId) {
+    const room = rooms[roomId];
+    const target = room.lastAccepted;
+    if (!target || room.match.ended || room.currentVote) return null;
+    const windowOpen = room.mode === 'classic'
+        ? roomState.getPhase(room) === 'choosing'
+        : Date.now() < target.challengeDeadline;
+    return windowOpen ? target : null;
+}
+
+function handleChallenge(socket, roomId) {
+    const room = rooms[roomId];
+    const { nickname } = socket;
+    if (!room || !nickname || !room.players[nickname]) return;
+    const target = getOpenChallenge(roomId);
+    if (!target) {
+        sendPrivateMessage(socket, '提示：当前没有可以质疑的诗句。');
+        return;
+    }
+    if (target.nickname === nickname) {
+        sendPrivateMessage(socket, '提示：不能质疑自己的答案。');
+        return;
+    }
+    room.lastAccepted = null; // 每句诗只能被质疑一次
+    cancelCharChoice(room);
+    broadcastMessage(
+        roomId,
+        `⚖️ 玩家【${nickname}】质疑了 [${target.answer}] (来自玩家【${target.nickname}】)，将由玩家重新投票！`
+    );
+    startPlayerVote(roomId, { answer: target.answer, nickname: target.nickname }, { challenger: nickname, target });
+    scheduleSaveRooms();
+}
+
+function handleChallengeVoteEnd(roomId) {
+    const room = rooms[roomId];
+    const { submission, votes: voteData, voters, autoVotes = [], challenge } = room.currentVote;
+    const validVotes = Object.values(voteData).filter(v => v === 'valid').length;
+    const upheld = voters.length === 0 ||
+        validVotes >= PASS_THRESHOLDS[room.settings.passThreshold](voters.length);
+    closeVote(room);
+    recordVoteAccuracy(room, voteData, autoVotes, upheld);
+
+    if (upheld) {
+        broadcastMessage(roomId, `⚖️ 质疑未成立，[${submission.answer}] 维持有效。`);
+        if (room.mode === 'classic') {
+            // 投票期间排队的答案针对的仍是这句诗已经赢下的一轮，留到新的起始字下验证会被错误计分
+            room.validationQueue = [];
+            startCharChoice(roomId, submission.nickname, submission.answer); // 重新给予选字机会
+        } else {
+            broadcastGameState(roomId);
+        }
+    } else {
+        revokeAcceptedLine(roomId, challenge.target);
+        const normalizedKey = normalizeSentence(submission.answer);
+        if (localCache.has(normalizedKey)) {
+            cacheFlags[normalizedKey] = {
+                answer: submission.answer,
+                roomId: roomId,
+                nickname: submission.nickname,
+                challenger: challenge.challenger,
+                votes: { valid: validVotes, invalid: Object.keys(voteData).length - validVotes },
+                flaggedAt: Date.now(),
+            };
+            scheduleSaveCacheFlags();
+            io.to('admin').emit('adminDataUpdate');
+        }
+        broadcastMessage(
+            roomId,
+            `⚖️ 质疑成立！[${submission.answer}] 被判定无效，已撤销【${submission.nickname}】的得分，` +
+            `起始字恢复为【${room.currentStartChar}】。该句已提交管理员审核。`
+        );
         broadcastGameState(roomId);
-        processValidationQueue(roomId);
     }
+    scheduleSaveRooms();
+    processValidationQueue(roomId);
+}
+
+// 撤销一句已通过的诗句：扣回得分，并恢复到该句通过之前的起始字
+function revokeAcceptedLine(roomId, target) {
+    const room = rooms[roomId];
+    const player = room.players[target.nickname];
+    if (player) player.score = Math.max(0, player.score - 1);
+    const matchStats = getMatchStats(room, target.nickname);
+    matchStats.accepted = Math.max(0, matchStats.accepted - 1);
+    matchStats.rejected++;
+    room.match.roundsPlayed = Math.max(0, room.match.roundsPlayed - 1);
+    const usedIndex = room.usedSentences.lastIndexOf(normalizeSentence(target.answer));
+    if (usedIndex > -1) room.usedSentences.splice(usedIndex, 1);
+    room.currentStartChar = target.previousStartChar;
+    room.feihuaPosition = target.previousFeihuaPosition;
+    room.validationQueue = []; // 等待中的答案是针对被撤销后的起始字提交的
+    updatePlayerStats(room, target.nickname, stats => {
+        stats.linesAccepted = Math.max(0, stats.linesAccepted - 1);
+        stats.linesRejected++;
+        if (stats.startChars[target.previousStartChar] > 0) stats.startChars[target.previousStartChar]--;
+    });
+    appendRoomHistory(room, { revokes: target.acceptedAt, answer: target.answer, timestamp: Date.now() });
+}
+
+// 判断规范化诗句是否符合本轮的起始字要求 (与 handlePlayerInput 的校验一致)
+function fitsCurrentRound(room, line) {
+    if (room.mode === 'chain') return line.startsWith(room.currentStartChar);
+    if (room.mode === 'feihua') return line[room.feihuaPosition - 1] === room.currentStartChar;
+    return line.includes(room.currentStartChar);
+}
+
+// 缓存和古诗词库中本轮可用、且最近未被使用过的诗句 (提示与机器人共用)
+function findKnownLines(room) {
+    const candidates = new Set();
+    (cacheCharIndex.get(room.currentStartChar) || new Set()).forEach(line => {
+        if (!cacheFlags[line]) candidates.add(line);
+    });
+    if (serverSettings.corpusEnabled) {
+        corpusIndex.forEach((entry, line) => {
+            if (line.includes(room.currentStartChar)) candidates.add(line);
+        });
+    }
+    return [...candidates].filter(line => fitsCurrentRound(room, line) && !room.usedSentences.includes(line));
+}
+
+function pickHintSentence(room) {
+    const usable = findKnownLines(room);
+    return usable.length > 0 ? usable[Math.floor(Math.random() * usable.length)] : null;
+}
+
+// 遮住大部分字，只露出起始字和约四分之一的其他字
+function maskHintSentence(room, sentence) {
+    const chars = [...sentence];
+    const hidden = chars.map((char, index) => index).filter(index => chars[index] !== room.currentStartChar);
+    const revealCount = Math.max(1, Math.floor(hidden.length / 4));
+    for (let i = 0; i < revealCount && hidden.length > 1; i++) {
+        hidden.splice(Math.floor(Math.random() * hidden.length), 1);
+    }
+    hidden.forEach(index => { chars[index] = HINT_MASK; });
+    return chars.join('');
+}
+
+function describeHint(room, sentence, level) {
+    if (level === 1) return `这句诗共 ${[...sentence].length} 个字。`;
+    if (level === 2) {
+        const source = lookupPoemSource(sentence);
+        return source
+            ? `这句诗出自${source.dynasty ? ` [${source.dynasty}]` : ''} ${source.author}。`
+            : '这句诗来自已验证的诗句缓存，暂未收录作者。';
+    }
+    return `这句诗是：${maskHintSentence(room, sentence)}`;
+}
+
+// 卡在难字上时可以花分数求助：同一轮内所有人围绕同一句诗逐级提示，提示内容只发给请求者
+function handleHintRequest(socket, roomId) {
+    const room = rooms[roomId];
+    const { nickname } = socket;
+    if (!room || !nickname || !room.players[nickname]) return;
+    if (room.match.ended) {
+        sendPrivateMessage(socket, '提示：本局已结束，请等待房主发起再来一局。');
+        return;
+    }
+    if (roomState.getPhase(room) === 'choosing') {
+        sendPrivateMessage(socket, '提示：正在选择下一个起始字，请稍候再求助。');
+        return;
+    }
+
+    const roundKey = `${room.currentStartChar}:${room.feihuaPosition}:${room.match.roundsPlayed}`;
+    if (!room.hint || room.hint.roundKey !== roundKey || room.usedSentences.includes(room.hint.sentence)) {
+        const sentence = pickHintSentence(room);
+        if (!sentence) {
+            sendPrivateMessage(socket, `提示：暂时没有包含【${room.currentStartChar}】的可用诗句，无法提供提示。`);
+            return;
+        }
+        room.hint = { roundKey: roundKey, sentence: sentence, levels: {} };
+    }
+
+    const level = (room.hint.levels[nickname] || 0) + 1;
+    if (level > HINT_MAX_LEVEL) {
+        sendPrivateMessage(socket, '提示：本轮的提示你已全部获得。');
+        return;
+    }
+    const player = room.players[nickname];
+    const cost = room.settings.hintCost;
+    if (player.score < cost) {
+        sendPrivateMessage(socket, `提示：使用提示需要 ${cost} 分，你的分数不足。`);
+        return;
+    }
+    player.score -= cost;
+    room.hint.levels[nickname] = level;
+    broadcastMessage(
+        roomId,
+        `💡 玩家【${nickname}】使用了第 ${level} 级提示${cost > 0 ? `，扣除 ${cost} 分` : ''}。`,
+        'hint-message'
+    );
+    sendPrivateMessage(socket, `💡 提示 ${level}/${HINT_MAX_LEVEL}：${describeHint(room, room.hint.sentence, level)}`);
+    broadcastGameState(roomId);
+    scheduleSaveRooms();
 }
 
 function handleCharChoice(socket, roomId, char) {
     const room = rooms[roomId];
-    const roomChoiceTimeout = choiceTimeouts[roomId];
     const { nickname } = socket;
-    if (!room || !roomChoiceTimeout) return;
-    if (nickname === roomChoiceTimeout.winnerNickname) {
-        clearTimeout(roomChoiceTimeout.timer);
-        delete choiceTimeouts[roomId];
-        startNewRound(roomId, char, nickname);
+    if (!room || !room.choice) return;
+    if (nickname === room.choice.winnerNickname) finishCharChoice(roomId, nickname, char);
+}
+
+function finishCharChoice(roomId, nickname, char) {
+    cancelCharChoice(rooms[roomId]);
+    startNewRound(roomId, char, nickname);
+}
+
+function handleSettingsUpdate(socket, roomId, input) {
+    const room = rooms[roomId];
+    const { nickname } = socket;
+    if (!room || !nickname || !room.players[nickname]) return;
+    if (!requireHost(socket, room)) return;
+    const { settings, error } = sanitizeRoomSettings(input, room.settings);
+    if (error) {
+        sendPrivateMessage(socket, `提示：${error}`);
+        return;
+    }
+    // 空的或与当前相同的设置不做任何处理，避免刷出“更新了房间设置”的消息
+    const changed = Object.keys(settings).some(key => JSON.stringify(settings[key]) !== JSON.stringify(room.settings[key]));
+    if (!changed) return;
+
+    const startCharChanged = settings.startChar !== room.settings.startChar;
+    const gameStarted = Object.values(room.players).some(p => p.score > 0);
+    room.settings = settings;
+    while (room.usedSentences.length > settings.usedSentencesLimit) {
+        room.usedSentences.shift();
+    }
+    broadcastMessage(roomId, `⚙️ 房主【${nickname}】更新了房间设置。`);
+    armMatchTimer(roomId);
+    checkWinCondition(roomId);
+    // 尚未有诗句被确认时，新的起始字立即生效
+    if (startCharChanged && !gameStarted && roomState.getPhase(room) === 'waiting') {
+        room.currentStartChar = settings.startChar;
+        broadcastMessage(roomId, `起始字已改为【${settings.startChar}】。`);
+    }
+    broadcastGameState(roomId);
+    scheduleSaveRooms();
+}
+
+function requireHost(socket, room) {
+    if (socket.nickname !== room.host) {
+        sendPrivateMessage(socket, '提示：只有房主可以执行此操作。');
+        return false;
+    }
+    return true;
+}
+
+function handleHostKick(socket, roomId, nickname) {
+    const room = rooms[roomId];
+    if (!room || !requireHost(socket, room)) return;
+    if (!room.players[nickname] || nickname === socket.nickname) return;
+    broadcastMessage(roomId, `--- 玩家【${nickname}】被房主移出了房间 ---`);
+    kickPlayer(roomId, nickname, '您已被房主移出房间');
+}
+
+function handleHostResetScores(socket, roomId) {
+    const room = rooms[roomId];
+    if (!room || !requireHost(socket, room)) return;
+    Object.values(room.players).forEach(player => {
+        player.score = 0;
+    });
+    broadcastMessage(roomId, `👑 房主【${socket.nickname}】重置了所有玩家的分数。`);
+    broadcastGameState(roomId);
+    scheduleSaveRooms();
+}
+
+function handleHostSkipVote(socket, roomId) {
+    const room = rooms[roomId];
+    if (!room || !requireHost(socket, room) || !room.currentVote) return;
+    const { submission } = room.currentVote;
+    closeVote(room);
+    room.validationQueue = room.validationQueue.filter(s => s !== submission);
+    broadcastMessage(roomId, `👑 房主【${socket.nickname}】跳过了对 [${submission.answer}] 的投票。`);
+    broadcastGameState(roomId);
+    scheduleSaveRooms();
+    processValidationQueue(roomId);
+}
+
+function handleHostForceStartChar(socket, roomId, char) {
+    const room = rooms[roomId];
+    if (!room || !requireHost(socket, room)) return;
+    const newChar = typeof char === 'string' ? char.trim() : '';
+    if (!/^[^\s\p{P}]$/u.test(newChar)) {
+        sendPrivateMessage(socket, '提示：起始字必须是单个汉字。');
+        return;
+    }
+    if (room.match.ended) {
+        sendPrivateMessage(socket, '提示：本局已结束，请先发起再来一局。');
+        return;
+    }
+    // 强制换字会中断当前的投票与选字，并清空等待队列
+    if (room.currentVote) closeVote(room);
+    cancelCharChoice(room);
+    room.validationQueue = [];
+    room.lastAccepted = null;
+    if (room.isPractice) getPracticeStats(room).streak = 0; // 练习中换字视为放弃本轮
+    startNewRound(roomId, newChar, `房主【${socket.nickname}】`);
+    scheduleSaveRooms();
+}
+
+function handleHostTransfer(socket, roomId, nickname) {
+    const room = rooms[roomId];
+    if (!room || !requireHost(socket, room)) return;
+    const target = room.players[nickname];
+    if (!target || !target.online || target.isBot || nickname === socket.nickname) {
+        sendPrivateMessage(socket, '提示：只能将房主移交给其他在线玩家。');
+        return;
+    }
+    room.host = nickname;
+    broadcastMessage(roomId, `👑 【${socket.nickname}】将房主身份移交给了【${nickname}】。`);
+    broadcastGameState(roomId);
+    scheduleSaveRooms();
+}
+
+// ======================================================
+// Validation Pipeline
+// ======================================================
+// 每个验证器接收 { roomId, room, submission, normalizedKey }，返回 { verdict, reason }
+
+function validateByCache({ normalizedKey }) {
+    // 被质疑成立、等待审核的缓存诗句不再直接通过
+    const cacheEntry = localCache.get(normalizedKey);
+    if (!cacheEntry || cacheFlags[normalizedKey]) return { verdict: 'defer' };
+    recordCacheHit(normalizedKey);
+    return {
+        verdict: 'accept',
+        reason: '命中缓存，确认为合法诗句！',
+        // 由词库确认后记入缓存的诗句仍按词库来源处理，不开放质疑
+        validatedBy: cacheEntry.source === 'corpus' ? 'corpus' : 'cache',
+    };
+}
+
+function validateByCorpus({ roomId, submission, normalizedKey }) {
+    if (!serverSettings.corpusEnabled || !corpusIndex.has(normalizedKey)) return { verdict: 'defer' };
+    addCacheEntry(normalizedKey, { source: 'corpus', roomId: roomId, nickname: submission.nickname });
+    return { verdict: 'accept', reason: '匹配古诗词库，确认为合法诗句！' };
+}
+
+// 返回不符合格式规则的原因，符合时返回 null；批量导入缓存时也按此规则检查每一行
+function getLineFormatError(sentence) {
+    const { minLength, maxLength } = LINE_FORMAT_RULE;
+    if (!/^\p{Script=Han}+$/u.test(sentence)) return '诗句只能由汉字组成';
+    if (sentence.length < minLength || sentence.length > maxLength) return `诗句须为 ${minLength}-${maxLength} 个汉字`;
+    return null;
+}
+
+function validateFormat({ normalizedKey }) {
+    const error = getLineFormatError(normalizedKey);
+    return error ? { verdict: 'reject', reason: `${error}。` } : { verdict: 'defer' };
+}
+
+function validateBannedWords({ normalizedKey }) {
+    const word = serverSettings.bannedWords.find(w => normalizedKey.includes(w));
+    return word ? { verdict: 'reject', reason: '包含屏蔽词。' } : { verdict: 'defer' };
+}
+
+// 单人练习房间没有其他玩家，交给流水线末尾记入待确认列表
+function validateByVote({ roomId, room, submission }) {
+    if (room.isPractice) return { verdict: 'defer' };
+    broadcastMessage(roomId, `[${submission.answer}] 将由玩家投票决定其有效性...`);
+    startPlayerVote(roomId, submission);
+    return { verdict: 'pending' };
+}
+
+// ======================================================
+// Practice Logic
+// ======================================================
+// 单人练习：只用缓存和古诗词库判定，不认识的诗句记入待批准列表，不发起投票
+function getPracticeStats(room) {
+    if (!room.match.practice) {
+        room.match.practice = {
+            roundStartedAt: room.match.startTime,
+            streak: 0,
+            bestStreak: 0,
+            answerTimes: [],   // 每句诗从本轮开始到被确认所用的毫秒数
+            masteredChars: [], // 成功接出诗句的起始字
+            pending: [],       // 无法确认、已提交管理员的诗句
+        };
+    }
+    return room.match.practice;
+}
+
+function recordPracticeAnswer(room, startChar, acceptedAt) {
+    const practice = getPracticeStats(room);
+    practice.answerTimes.push(acceptedAt - practice.roundStartedAt);
+    practice.streak++;
+    practice.bestStreak = Math.max(practice.bestStreak, practice.streak);
+    if (!practice.masteredChars.includes(startChar)) practice.masteredChars.push(startChar);
+    practice.roundStartedAt = acceptedAt;
+}
+
+function handlePracticeUnknownLine(roomId, submission) {
+    const room = rooms[roomId];
+    room.validationQueue.shift();
+    const practice = getPracticeStats(room);
+    practice.streak = 0;
+    if (!practice.pending.includes(submission.answer)) practice.pending.push(submission.answer);
+
+    // 已有投票记录的诗句保持原样，练习中提交的诗句不会被自动加入缓存
+    const normalizedKey = normalizeSentence(submission.answer);
+    if (!pendingSentences[normalizedKey]) {
+        pendingSentences[normalizedKey] = {
+            answer: submission.answer,
+            roomId: roomId,
+            nickname: submission.nickname,
+            votes: null,
+            approvals: 0,
+            practice: true,
+            submittedAt: Date.now(),
+        };
+        scheduleSavePending();
+        io.to('admin').emit('adminDataUpdate');
+    }
+    broadcastMessage(roomId, `[${submission.answer}] 不在缓存和古诗词库中，已记入待确认列表，本轮继续。`);
+    broadcastGameState(roomId);
+    scheduleSaveRooms();
+    processValidationQueue(roomId);
+}
+
+function summarizePractice(room) {
+    const practice = getPracticeStats(room);
+    const times = practice.answerTimes;
+    const toSeconds = ms => Math.round(ms / 100) / 10;
+    return {
+        answered: times.length,
+        bestStreak: practice.bestStreak,
+        averageSeconds: times.length > 0 ? toSeconds(times.reduce((sum, t) => sum + t, 0) / times.length) : null,
+        fastestSeconds: times.length > 0 ? toSeconds(Math.min(...times)) : null,
+        masteredChars: practice.masteredChars,
+        pending: practice.pending,
+        durationSeconds: Math.round((Date.now() - room.match.startTime) / 1000),
+    };
+}
+
+function handleEndPractice(socket, roomId) {
+    const room = rooms[roomId];
+    if (!room || !room.isPractice || !room.players[socket.nickname] || room.match.ended) return;
+    endMatch(roomId, '');
+}
+
+// ======================================================
+// Bot Logic
+// ======================================================
+function randomBetween([min, max]) {
+    return min + Math.floor(Math.random() * (max - min));
+}
+
+function createBotNickname(room) {
+    for (let i = 1; ; i++) {
+        const nickname = `机器人${i}`;
+        if (!room.players[nickname] && !room.spectators[nickname]) return nickname;
+    }
+}
+
+function handleAddBot(socket, roomId, level) {
+    const room = rooms[roomId];
+    if (!room || !requireHost(socket, room)) return;
+    if (room.isPractice) {
+        sendPrivateMessage(socket, '提示：单人练习中不能添加机器人。');
+        return;
+    }
+    if (!BOT_LEVELS[level]) {
+        sendPrivateMessage(socket, '提示：无效的机器人难度。');
+        return;
+    }
+    const playerCount = Object.keys(room.players).length;
+    if (playerCount >= room.settings.maxPlayers) {
+        sendPrivateMessage(socket, `提示：房间已满 (${playerCount}/${room.settings.maxPlayers})，无法添加机器人。`);
+        return;
+    }
+    const nickname = createBotNickname(room);
+    room.players[nickname] = { nickname: nickname, score: 0, online: true, isBot: true, botLevel: level };
+    broadcastMessage(roomId, `--- 房主【${socket.nickname}】添加了${BOT_LEVELS[level].label}机器人【${nickname}】 ---`);
+    broadcastGameState(roomId);
+    broadcastRoomList();
+    scheduleSaveRooms();
+}
+
+// 根据房间当前状态决定机器人的下一步，返回 { action, key }；key 变化说明局面变了，需要重新计时
+function planBotAction(roomId, bot) {
+    const room = rooms[roomId];
+    if (room.match.ended) return null;
+    const { choice } = room;
+    if (choice) {
+        return choice.winnerNickname === bot.nickname ? { action: 'choose', key: `choose:${choice.endTime}` } : null;
     }
+    const vote = room.currentVote;
+    if (vote && vote.voters.includes(bot.nickname) && !vote.votes[bot.nickname]) {
+        return { action: 'vote', key: `vote:${vote.endTime}` };
+    }
+    if (room.validationQueue.some(s => s.nickname === bot.nickname)) return null;
+    return { action: 'answer', key: `answer:${room.currentStartChar}:${room.feihuaPosition}:${room.match.roundsPlayed}` };
+}
+
+// 没有在线的真人玩家时机器人不行动，避免永久房间里机器人互相接龙
+function updateBots(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    const bots = Object.values(room.players).filter(p => p.isBot);
+    if (bots.length === 0) return;
+    const hasOnlineHuman = Object.values(room.players).some(p => !p.isBot && p.online);
+    bots.forEach(bot => {
+        const plan = hasOnlineHuman ? planBotAction(roomId, bot) : null;
+        const timerName = `bot:${bot.nickname}`;
+        if (plan && roomState.getTimerKey(room, timerName) === plan.key) return; // 已在思考中
+        roomState.clearTimer(room, timerName);
+        if (!plan) return;
+        const level = BOT_LEVELS[bot.botLevel] || BOT_LEVELS.normal;
+        const delay = randomBetween(plan.action === 'answer' ? level.answerDelay : BOT_REACT_DELAY);
+        roomState.setTimer(room, timerName, delay, () => runBotAction(roomId, bot.nickname, plan.key), plan.key);
+    });
+}
+
+function runBotAction(roomId, nickname, key) {
+    const room = rooms[roomId];
+    const bot = room?.players[nickname];
+    if (!bot) return;
+    const plan = planBotAction(roomId, bot);
+    if (!plan || plan.key !== key) {
+        updateBots(roomId);
+        return;
+    }
+    const level = BOT_LEVELS[bot.botLevel] || BOT_LEVELS.normal;
+
+    if (plan.action === 'choose') {
+        finishCharChoice(roomId, nickname, pickNextStartChar(room.choice.answer, level.smartChoice));
+    } else if (plan.action === 'vote') {
+        const line = normalizeSentence(room.currentVote.submission.answer);
+        const known = (localCache.has(line) && !cacheFlags[line]) || (serverSettings.corpusEnabled && corpusIndex.has(line));
+        recordPlayerVote(roomId, nickname, known || Math.random() < level.trustUnknown ? 'valid' : 'invalid');
+    } else {
+        const lines = Math.random() < level.knowledge ? findKnownLines(room) : [];
+        if (lines.length === 0) {
+            updateBots(roomId); // 没想出来，继续思考
+            return;
+        }
+        room.validationQueue.push({ answer: lines[Math.floor(Math.random() * lines.length)], nickname: nickname });
+        broadcastGameState(roomId);
+        processValidationQueue(roomId);
+    }
+    scheduleSaveRooms();
+}
+
+// 从答案中挑选下一个起始字：smart 时挑选已知诗句最多的字，否则随机挑选
+function pickNextStartChar(answer, smart, exclude) {
+    const all = [...new Set(normalizeSentence(answer))];
+    const chars = all.length > 1 ? all.filter(char => char !== exclude) : all;
+    if (chars.length === 0) return '天';
+    if (!smart) return chars[Math.floor(Math.random() * chars.length)];
+    const knownCount = char => (cacheCharIndex.get(char) || new Set()).size;
+    return chars.reduce((best, char) => (knownCount(char) > knownCount(best) ? char : best));
+}
+
+// ======================================================
+// Match Logic
+// ======================================================
+function createMatch() {
+    return {
+        startTime: Date.now(),
+        roundsPlayed: 0,
+        ended: false,
+        reason: null,
+        standings: null,
+        stats: {}, // 昵称 -> { accepted, rejected }
+    };
+}
+
+function getMatchStats(room, nickname) {
+    if (!room.match.stats[nickname]) {
+        room.match.stats[nickname] = { accepted: 0, rejected: 0 };
+    }
+    return room.match.stats[nickname];
+}
+
+function armMatchTimer(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    roomState.clearTimer(room, 'match');
+    if (room.match.ended || room.settings.winCondition !== 'time') return;
+
+    const remainingTime = room.match.startTime + room.settings.winTarget * 60000 - Date.now();
+    roomState.setTimer(room, 'match', remainingTime, () => {
+        if (rooms[roomId] && !rooms[roomId].match.ended) {
+            endMatch(roomId, `限时 ${rooms[roomId].settings.winTarget} 分钟已到！`);
+        }
+    });
+}
+
+// 检查分数与轮数类的胜利条件，满足时结束本局并返回 true
+function checkWinCondition(roomId) {
+    const room = rooms[roomId];
+    if (room.match.ended) return true;
+    const { winCondition, winTarget } = room.settings;
+
+    if (winCondition === 'score') {
+        const leader = Object.values(room.players).find(p => p.score >= winTarget);
+        if (leader) {
+            endMatch(roomId, `【${leader.nickname}】率先获得 ${winTarget} 分！`);
+            return true;
+        }
+    } else if (winCondition === 'rounds' && room.match.roundsPlayed >= winTarget) {
+        endMatch(roomId, `全部 ${winTarget} 轮已完成！`);
+        return true;
+    }
+    return false;
+}
+
+function endMatch(roomId, reason) {
+    const room = rooms[roomId];
+    roomState.clearTimer(room, 'match');
+    if (room.currentVote) closeVote(room);
+    cancelCharChoice(room);
+    room.validationQueue = [];
+    roomState.transition(room, 'ended');
+
+    const standings = Object.values(room.players)
+        .map(player => ({ nickname: player.nickname, score: player.score, ...getMatchStats(room, player.nickname) }))
+        .sort((a, b) => b.score - a.score);
+    room.match.ended = true;
+    room.match.reason = reason;
+    room.match.standings = standings;
+
+    const topScore = standings.length > 0 ? standings[0].score : 0;
+    const championStandings = standings.filter(s => s.score === topScore);
+    const champions = championStandings.map(s => `【${s.nickname}】`);
+    standings.forEach(s => {
+        updatePlayerStats(room, s.nickname, stats => {
+            stats.gamesPlayed++;
+            if (topScore > 0 && championStandings.includes(s)) stats.gamesWon++;
+        });
+    });
+    if (room.isPractice) {
+        room.match.practiceSummary = summarizePractice(room);
+        const { answered, bestStreak, averageSeconds, masteredChars } = room.match.practiceSummary;
+        broadcastMessage(
+            roomId,
+            `🏁 练习结束！${reason}共答出 ${answered} 句，最长连续 ${bestStreak} 句` +
+            `${averageSeconds !== null ? `，平均每句 ${averageSeconds} 秒` : ''}，掌握了 ${masteredChars.length} 个字。`
+        );
+        broadcastGameState(roomId);
+        scheduleSaveRooms();
+        return;
+    }
+    const championText = champions.length > 0 ? ` 冠军：${champions.join('、')} (${topScore} 分)` : '';
+    broadcastMessage(roomId, `🏁 游戏结束！${reason}${championText}`);
+    broadcastGameState(roomId);
+    scheduleSaveRooms();
+}
+
+function handleRematch(socket, roomId) {
+    const room = rooms[roomId];
+    if (!room || !requireHost(socket, room)) return;
+    if (!room.match.ended) {
+        sendPrivateMessage(socket, '提示：本局尚未结束。');
+        return;
+    }
+    Object.values(room.players).forEach(player => {
+        player.score = 0;
+    });
+    room.usedSentences = [];
+    room.validationQueue = [];
+    room.currentStartChar = room.settings.startChar;
+    room.feihuaPosition = 1;
+    room.lastAccepted = null;
+    room.hint = null; // 新一局的轮次与上一局相同，不清除的话提示等级会沿用上一局
+    room.match = createMatch();
+    roomState.transition(room, 'waiting');
+    armMatchTimer(roomId);
+    broadcastMessage(roomId, `🔄 房主【${socket.nickname}】发起了再来一局！起始字为【${room.currentStartChar}】。`);
+    broadcastGameState(roomId);
+    scheduleSaveRooms();
 }
 
 function startNewRound(roomId, newChar, chooserId) {
     const room = rooms[roomId];
     if (!room) return;
     room.currentStartChar = newChar;
+    roomState.transition(room, 'waiting');
+    if (room.isPractice) getPracticeStats(room).roundStartedAt = Date.now();
     const chooserNickname =
         chooserId === '系统'
             ? '系统'
             : chooserId;
     broadcastMessage(roomId, `🎉 ${chooserNickname} 指定新起始字为【${newChar}】。新一轮开始！`);
     broadcastGameState(roomId);
+    processValidationQueue(roomId); // 选字期间留在队列中的答案在新一轮继续验证
+}
+
+// ======================================================
+// Player Stats Logic
+// ======================================================
+function createPlayerStats(nickname) {
+    return {
+        nickname: nickname,
+        linesAccepted: 0,
+        linesRejected: 0,
+        votesCast: 0,
+        votesJudged: 0,  // 投票有最终结果的次数 (中途撤回或跳过的不计)
+        votesCorrect: 0, // 与最终结果一致的次数
+        gamesPlayed: 0,
+        gamesWon: 0,
+        startChars: {},  // 起始字 -> 以该字答对的次数
+        updatedAt: Date.now(),
+    };
+}
+
+// 按玩家的档案ID累计数据，没有档案ID的玩家 (如旧版本存档中的玩家) 不计入
+function updatePlayerStats(room, nickname, updateFn) {
+    const player = room.players[nickname];
+    if (!player || !player.profileId || room.isPractice) return; // 单人练习不计入排行榜
+    if (!playerStats[player.profileId]) {
+        playerStats[player.profileId] = createPlayerStats(nickname);
+    }
+    const stats = playerStats[player.profileId];
+    updateFn(stats);
+    stats.nickname = nickname; // 排行榜显示最近使用的昵称
+    stats.updatedAt = Date.now();
+    scheduleSavePlayerStats();
+}
+
+function formatPlayerStats(stats) {
+    const favouriteChars = Object.entries(stats.startChars)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([char]) => char);
+    return {
+        nickname: stats.nickname,
+        linesAccepted: stats.linesAccepted,
+        linesRejected: stats.linesRejected,
+        votesCast: stats.votesCast,
+        voteAccuracy: stats.votesJudged > 0 ? Math.round((stats.votesCorrect / stats.votesJudged) * 100) : null,
+        gamesPlayed: stats.gamesPlayed,
+        gamesWon: stats.gamesWon,
+        favouriteChars: favouriteChars,
+    };
+}
+
+function getLeaderboard(sortKey) {
+    return Object.values(playerStats)
+        .map(formatPlayerStats)
+        .sort((a, b) => (b[sortKey] ?? -1) - (a[sortKey] ?? -1) || b.linesAccepted - a.linesAccepted)
+        .slice(0, LEADERBOARD_SIZE);
+}
+
+// ======================================================
+// Game History Logic
+// ======================================================
+// 历史记录按房间实例保存：房间解散后再建同名房间会得到新的记录，不会继承 (或泄露) 旧房间的接龙
+function createHistoryId(roomId) {
+    return `${roomId}-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// 旧版本的历史记录ID (房间ID或较短的随机后缀) 可以被猜到，不能凭ID访问
+function isShareableHistoryId(historyId) {
+    return /-[0-9a-f]{24}$/.test(historyId);
+}
+
+// 房间解散后，可分享的记录留待保留期满再删除，旧版本的记录无法再被访问，直接删除
+function archiveRoomHistory(room) {
+    const { historyId } = room;
+    if (isShareableHistoryId(historyId)) {
+        historyArchive[historyId] = { roomId: room.id, roomName: room.name, endedAt: Date.now() };
+        scheduleSaveHistoryArchive();
+    } else {
+        removeHistory(historyId);
+    }
+    pruneHistoryArchive();
+}
+
+function removeHistory(historyId) {
+    Promise.resolve(historyWrites[historyId])
+        .then(() => storage.removeHistory(historyId))
+        .catch(error => console.error(`删除接龙记录 [${historyId}] 失败:`, error));
+}
+
+function pruneHistoryArchive() {
+    const expired = Object.keys(historyArchive).filter(id => Date.now() - historyArchive[id].endedAt >= HISTORY_RETENTION_MS);
+    if (expired.length === 0) return;
+    expired.forEach(historyId => {
+        delete historyArchive[historyId];
+        removeHistory(historyId);
+    });
+    scheduleSaveHistoryArchive();
+    console.log(`已删除 ${expired.length} 份过期的接龙记录。`);
+}
+
+// 启动时清点不属于任何房间、也不在往期记录中的记录 (此前版本解散房间后遗留的文件)：
+// 可分享的转入往期记录，其余已无法访问，直接删除
+async function adoptOrphanedHistories() {
+    const liveIds = new Set(Object.values(rooms).map(room => room.historyId));
+    const orphans = (await storage.listHistoryIds()).filter(id => !liveIds.has(id) && !historyArchive[id]);
+    orphans.forEach(historyId => {
+        if (isShareableHistoryId(historyId)) {
+            historyArchive[historyId] = { roomId: historyId.slice(0, -25), roomName: historyId.slice(0, -25), endedAt: Date.now() };
+        } else {
+            removeHistory(historyId);
+        }
+    });
+    if (orphans.length > 0) {
+        scheduleSaveHistoryArchive();
+        console.log(`已整理 ${orphans.length} 份遗留的接龙记录。`);
+    }
+}
+
+function appendRoomHistory(room, entry) {
+    const { historyId } = room;
+    const previousWrite = historyWrites[historyId] || Promise.resolve();
+    const write = previousWrite
+        .then(() => storage.appendHistory(historyId, entry))
+        .catch(error => console.error(`写入房间 [${room.id}] 历史记录失败:`, error));
+    historyWrites[historyId] = write;
+    write.then(() => {
+        if (historyWrites[historyId] === write) delete historyWrites[historyId];
+    });
+}
+
+async function readHistoryEntries(historyId) {
+    await historyWrites[historyId];
+    try {
+        const records = await storage.readHistory(historyId);
+        // 质疑成立的诗句会追加一条撤销记录，读取时将原记录一并移除
+        const revoked = new Set(records.filter(r => r.revokes).map(r => r.revokes));
+        return records.filter(r => !r.revokes && !revoked.has(r.timestamp));
+    } catch (error) {
+        return [];
+    }
+}
+
+// 重连凭证通过请求头传递 (昵称经过 encodeURIComponent)，避免出现在分享出去的链接和访问日志中
+function getHistoryCredentials(req) {
+    let nickname = '';
+    try {
+        nickname = decodeURIComponent(req.get('X-Player-Nickname') || '');
+    } catch (error) {
+        // 无法解码的昵称视为未提供
+    }
+    return { nickname: nickname, token: req.get('X-Player-Token') || '' };
+}
+
+function canReadRoomHistory(room, { nickname, token }) {
+    if (!room.passwordHash) return true;
+    const player = room.players[nickname];
+    return !!player && matchesPlayerToken(player, token);
+}
+
+function formatHistoryTime(timestamp) {
+    return new Date(timestamp).toLocaleString('zh-CN', { hour12: false });
+}
+
+function formatHistoryMarkdown(roomName, entries) {
+    const lines = [`# 古诗词接龙记录 · ${roomName}`, ''];
+    if (entries.length === 0) {
+        lines.push('暂无记录。');
+        return lines.join('\n') + '\n';
+    }
+    let currentMatchStart = null;
+    let matchNumber = 0;
+    let lineNumber = 0;
+    entries.forEach(entry => {
+        if (entry.matchStart !== currentMatchStart) {
+            currentMatchStart = entry.matchStart;
+            matchNumber++;
+            lineNumber = 0;
+            lines.push(`## 第 ${matchNumber} 局 · ${GAME_MODES[entry.mode] || GAME_MODES.classic} · ${formatHistoryTime(entry.matchStart)} 开始`, '');
+        }
+        lineNumber++;
+        const source = entry.source
+            ? ` —— ${entry.source.dynasty ? `[${entry.source.dynasty}] ` : ''}${entry.source.author}《${entry.source.title}》`
+            : '';
+        let validation = VALIDATION_LABELS[entry.validatedBy] || entry.validatedBy;
+        if (entry.votes) {
+            const { valid, invalid, auto } = entry.votes;
+            validation = valid + invalid === 0
+                ? '无人投票，自动通过'
+                : `投票通过 (${valid}:${invalid}${auto > 0 ? `，其中 ${auto} 票自动赞同` : ''})`;
+        }
+        const position = entry.feihuaPosition ? ` 第 ${entry.feihuaPosition} 字` : '';
+        lines.push(
+            `${lineNumber}. **${entry.answer}**${source}`,
+            `   - 玩家【${entry.nickname}】 · 起始字「${entry.startChar}」${position} · ${validation} · ${formatHistoryTime(entry.timestamp)}`
+        );
+    });
+    return lines.join('\n') + '\n';
 }
 
 async function loadAdminConfig() {
@@ -858,19 +3049,96 @@ async function loadAdminConfig() {
     }
 }
 
+// 数据结构迁移，启动时按版本号依次执行尚未执行过的项；修改存档结构时在末尾追加一项并递增版本号
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: '缓存诗句由字符串改为带来源信息的记录',
+        migrate: async store => {
+            const { cache, migrated } = migrateCacheEntries(await store.readCollection('valid_sentences'));
+            if (migrated === 0) return;
+            await store.saveCollection('valid_sentences', () => [...cache.values()]);
+            console.log(`已将 ${migrated} 条旧版缓存诗句迁移为带来源信息的记录。`);
+        },
+    },
+    {
+        version: 2,
+        description: '尚无重连凭证的玩家标记为待认领',
+        migrate: async store => {
+            const savedRooms = await store.readDocument('rooms');
+            if (!savedRooms) return;
+            let marked = 0;
+            Object.values(savedRooms).forEach(room => {
+                Object.values(room.players || {}).forEach(player => {
+                    if (player.isBot || player.tokenHash || player.unclaimed) return;
+                    player.unclaimed = true;
+                    marked++;
+                });
+            });
+            if (marked === 0) return;
+            await store.writeDocument('rooms', savedRooms);
+            console.log(`已将 ${marked} 名尚无重连凭证的玩家标记为待认领，可由管理员在玩家管理中允许认领。`);
+        },
+    },
+];
 
 (async function loadData() {
     try {
         await loadAdminConfig();
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        try {
-            const roomsData = await fs.readFile(ROOMS_FILE, 'utf8');
-            rooms = JSON.parse(roomsData);
+        storage = await openStorage({
+            backend: STORAGE_BACKEND,
+            dataDir: DATA_DIR,
+            documents: ['settings', 'pending_sentences', 'cache_flags', 'player_stats', 'rooms', 'history_archive'],
+            collections: {
+                valid_sentences: entry => (typeof entry === 'string' ? normalizeSentence(entry) : entry.sentence),
+            },
+        });
+        const schemaVersion = await runMigrations(storage, STORAGE_MIGRATIONS);
+        console.log(`数据版本: ${schemaVersion}`);
+        // 以下读取遇到损坏且无法从备份恢复的数据会抛出错误，由外层终止启动，避免以空数据覆盖原有存档
+        const savedSettings = await storage.readDocument('settings');
+        if (savedSettings) {
+            serverSettings = { ...serverSettings, ...savedSettings };
+            console.log('服务器设置已加载。');
+        } else {
+            console.log('未找到服务器设置，将使用默认设置。');
+        }
+        await loadCorpus();
+        pendingSentences = (await storage.readDocument('pending_sentences')) || {};
+        console.log(`待批准诗句已加载 (${Object.keys(pendingSentences).length} 句)。`);
+        cacheFlags = (await storage.readDocument('cache_flags')) || {};
+        console.log(`待审核诗句已加载 (${Object.keys(cacheFlags).length} 句)。`);
+        playerStats = (await storage.readDocument('player_stats')) || {};
+        console.log(`玩家统计数据已加载 (${Object.keys(playerStats).length} 位玩家)。`);
+        historyArchive = (await storage.readDocument('history_archive')) || {};
+        console.log(`往期接龙记录已加载 (${Object.keys(historyArchive).length} 份)。`);
+        const savedRooms = await storage.readDocument('rooms');
+        if (!savedRooms) {
+            console.log('未找到房间数据，将使用空房间列表。');
+        } else {
+            rooms = savedRooms;
 
             for (const roomId in rooms) {
                 if (!rooms[roomId].messages) rooms[roomId].messages = [];
+                if (!rooms[roomId].chatMessages) rooms[roomId].chatMessages = [];
+                rooms[roomId].spectators = {};
+                if (!GAME_MODES[rooms[roomId].mode]) rooms[roomId].mode = 'classic';
+                if (!rooms[roomId].feihuaPosition) rooms[roomId].feihuaPosition = 1;
+                rooms[roomId].settings = { ...DEFAULT_ROOM_SETTINGS, ...rooms[roomId].settings };
+                if (!rooms[roomId].host) {
+                    rooms[roomId].host = Object.values(rooms[roomId].players).find(p => !p.isBot)?.nickname || null;
+                }
+                if (!rooms[roomId].match) rooms[roomId].match = createMatch();
+                if (!rooms[roomId].historyId) rooms[roomId].historyId = roomId; // 旧版记录文件以房间ID命名
+                if (rooms[roomId].currentVote && !rooms[roomId].currentVote.autoVotes) {
+                    rooms[roomId].currentVote.autoVotes = [];
+                }
                 for (const nickname in rooms[roomId].players) {
                     const player = rooms[roomId].players[nickname];
+                    if (player.isBot) {
+                        player.online = true; // 机器人不需要重连
+                        continue;
+                    }
                     player.online = false;
 
                     if (player.disconnectTime) {
@@ -884,7 +3152,7 @@ async function loadAdminConfig() {
                             removePlayerFromRoom(roomId, nickname);
                         } else {
                             const remainingTime = RECONNECT_TIMEOUT_MS - offlineDuration;
-                            reconnectTimeouts[nickname] = setTimeout(() => {
+                            roomState.setTimer(rooms[roomId], `reconnect:${nickname}`, remainingTime, () => {
                                 if (rooms[roomId]?.players[nickname] && !rooms[roomId].players[nickname].online) {
                                     console.log(`玩家【${nickname}】重连超时，已从房间 [${roomId}] 移除。`);
                                     if (!removePlayerFromRoom(roomId, nickname)) {
@@ -893,28 +3161,26 @@ async function loadAdminConfig() {
                                     }
                                     broadcastRoomList();
                                 }
-                            }, remainingTime);
+                            });
                         }
                     }
                 }
                 if (!rooms[roomId]) continue;
+                armMatchTimer(roomId);
             }
             console.log('房间数据已成功加载。');
-        } catch (error) {
-            console.log('未找到 rooms.json，将使用空房间列表。', error.message);
-            rooms = {};
-        }
-        try {
-            const cacheData = await fs.readFile(VALID_SENTENCES_FILE, 'utf8');
-            const parsedCache = JSON.parse(cacheData);
-            localCache = Array.isArray(parsedCache) ? parsedCache : [];
-            console.log('有效诗句缓存已成功加载。');
-        } catch (error) {
-            console.log(`未找到 ${VALID_SENTENCES_FILE}，将使用空缓存。`, error.message);
-            localCache = [];
         }
+        localCache = migrateCacheEntries(await storage.readCollection('valid_sentences')).cache;
+        rebuildCacheIndex();
+        console.log(`有效诗句缓存已加载 (${localCache.size} 句)。`);
+        // 结算投票可能用到缓存，因此在全部数据加载完成后再恢复
+        Object.keys(rooms).forEach(resumeInFlightRound);
+        await adoptOrphanedHistories();
+        pruneHistoryArchive();
     } catch (error) {
-        console.error('加载数据时发生错误:', error);
+        // 带着残缺的数据继续运行，随后的保存会覆盖原有存档，因此直接终止
+        console.error('加载数据时发生错误，服务器无法启动:', error);
+        process.exit(1);
     }
 })();
 
@@ -0,0 +1,335 @@
+// 持久化存储：房间、诗句缓存、设置等数据的读写都经过这里，由配置选择 JSON 文件或 SQLite 数据库作为后端。
+// 两种后端提供相同的接口：
+//   readDocument / writeDocument   整份读写的数据 (房间、设置、统计等)
+//   readCollection / saveCollection 按键存放的记录集合 (诗句缓存)，SQLite 后端只写入有变化的记录
+//   appendHistory / readHistory    按房间实例 (historyId) 追加的接龙记录
+//   listHistoryIds / removeHistory 列出或删除整份接龙记录 (用于清理过期的记录)
+// 数据结构的版本号保存在 meta 数据中，启动时由 runMigrations 依次执行尚未执行的迁移。
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const BACKUP_INTERVAL_MS = 10 * 60 * 1000; // 同一份数据至多每 10 分钟备份一次
+const BACKUP_LIMIT = 10;                   // 每份数据保留最近的 10 个备份
+const SQLITE_FILE = 'poetrygame.db';
+
+let tmpCounter = 0;
+
+// 用于文件名的时间戳，按字典序排列即为时间顺序
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+async function listBackups(backupDir, prefix, extension) {
+    try {
+        return (await fs.readdir(backupDir))
+            .filter(file => file.startsWith(`${prefix}.`) && file.endsWith(extension))
+            .sort();
+    } catch (error) {
+        return [];
+    }
+}
+
+async function pruneBackups(backupDir, prefix, extension) {
+    const backups = await listBackups(backupDir, prefix, extension);
+    await Promise.all(backups.slice(0, -BACKUP_LIMIT).map(file => fs.unlink(path.join(backupDir, file)).catch(() => {})));
+}
+
+// ======================================================
+// JSON 后端：每份数据一个文件，先写入临时文件并刷盘，再改名覆盖原文件
+// ======================================================
+function createJsonStore({ dataDir }) {
+    const backupDir = path.join(dataDir, 'backups');
+    const historyDir = path.join(dataDir, 'history'); // 每个房间实例一个 .jsonl 文件，每行一条被确认的诗句
+    const lastBackups = {}; // 数据名 -> 上次备份时间
+
+    const getFile = name => path.join(dataDir, `${name}.json`);
+    const getHistoryFile = historyId => path.join(historyDir, `${encodeURIComponent(historyId)}.jsonl`);
+
+    // 覆盖前把旧文件复制到备份目录，因此每次启动后的第一次写入都会留下上一次运行结束时的数据
+    async function backupIfDue(name) {
+        if (Date.now() - (lastBackups[name] || 0) < BACKUP_INTERVAL_MS) return;
+        try {
+            await fs.copyFile(getFile(name), path.join(backupDir, `${name}.${timestamp()}.json`));
+        } catch (error) {
+            if (error.code === 'ENOENT') return; // 首次写入，没有旧文件
+            throw error;
+        }
+        lastBackups[name] = Date.now();
+        await pruneBackups(backupDir, name, '.json');
+    }
+
+    async function writeAtomic(name, text) {
+        const file = getFile(name);
+        const tmpFile = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+        try {
+            const handle = await fs.open(tmpFile, 'w');
+            try {
+                await handle.writeFile(text);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await backupIfDue(name);
+            await fs.rename(tmpFile, file);
+        } catch (error) {
+            await fs.unlink(tmpFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    async function readDocument(name) {
+        const file = getFile(name);
+        let text;
+        try {
+            text = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            console.error(`${name}.json 已损坏 (${error.message})，尝试从备份恢复。`);
+        }
+        // 损坏的文件另存一份以便排查，下一次写入会用恢复后的数据覆盖它
+        await fs.copyFile(file, `${file}.corrupt-${timestamp()}`).catch(() => {});
+        const backups = await listBackups(backupDir, name, '.json');
+        for (const backup of backups.reverse()) {
+            try {
+                const value = JSON.parse(await fs.readFile(path.join(backupDir, backup), 'utf8'));
+                console.warn(`已从备份 ${backup} 恢复 ${name}.json，该备份之后的改动已丢失。`);
+                return value;
+            } catch (error) {
+                console.error(`备份 ${backup} 同样无法读取，继续尝试更早的备份。`);
+            }
+        }
+        throw new Error(`${name}.json 已损坏且没有可用的备份，请手动检查 ${file}。`);
+    }
+
+    async function readCollection(name) {
+        const value = await readDocument(name);
+        return Array.isArray(value) ? value : [];
+    }
+
+    // JSON 文件无法按条更新，changes 被忽略，总是重写整个文件
+    async function saveCollection(name, getRecords) {
+        await writeAtomic(name, JSON.stringify(getRecords(), null, 2));
+    }
+
+    async function readHistory(historyId) {
+        let text;
+        try {
+            text = await fs.readFile(getHistoryFile(historyId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return text
+            .split('\n')
+            .filter(line => line.trim())
+            .flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    return []; // 跳过写入中断留下的残行
+                }
+            });
+    }
+
+    async function listHistoryIds() {
+        return (await fs.readdir(historyDir))
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => decodeURIComponent(file.slice(0, -'.jsonl'.length)));
+    }
+
+    return {
+        backend: 'json',
+        async open() {
+            await fs.mkdir(historyDir, { recursive: true });
+            await fs.mkdir(backupDir, { recursive: true });
+            // 清理上次运行在改名前中断留下的临时文件
+            const leftovers = (await fs.readdir(dataDir)).filter(file => file.endsWith('.tmp'));
+            await Promise.all(leftovers.map(file => fs.unlink(path.join(dataDir, file)).catch(() => {})));
+        },
+        readDocument,
+        writeDocument: (name, value) => writeAtomic(name, JSON.stringify(value, null, 2)),
+        readCollection,
+        saveCollection,
+        appendHistory: (historyId, entry) => fs.appendFile(getHistoryFile(historyId), JSON.stringify(entry) + '\n'),
+        readHistory,
+        listHistoryIds,
+        removeHistory: historyId => fs.rm(getHistoryFile(historyId), { force: true }),
+    };
+}
+
+// ======================================================
+// SQLite 后端：需要安装 better-sqlite3，数据放在 data/poetrygame.db 中
+// ======================================================
+function createSqliteStore({ dataDir, collections }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('未安装 better-sqlite3，无法使用 SQLite 存储。请运行 "npm install better-sqlite3"，或改用 JSON 存储。');
+    }
+    const file = path.join(dataDir, SQLITE_FILE);
+    const backupDir = path.join(dataDir, 'backups');
+    let db = null;
+    let statements = null;
+    let lastBackup = 0;
+    let backingUp = false;
+
+    // better-sqlite3 的备份在后台分步进行，不会阻塞写入
+    function backupIfDue() {
+        if (backingUp || Date.now() - lastBackup < BACKUP_INTERVAL_MS) return;
+        backingUp = true;
+        lastBackup = Date.now();
+        db.backup(path.join(backupDir, `poetrygame.${timestamp()}.db`))
+            .then(() => pruneBackups(backupDir, 'poetrygame', '.db'))
+            .catch(error => console.error('备份 SQLite 数据库失败:', error))
+            .finally(() => { backingUp = false; });
+    }
+
+    function getKey(name, record) {
+        if (!collections[name]) throw new Error(`未注册的数据集合: ${name}`);
+        return String(collections[name](record));
+    }
+
+    return {
+        backend: 'sqlite',
+        isNew: false,
+        async open() {
+            await fs.mkdir(backupDir, { recursive: true });
+            this.isNew = !(await fs.stat(file).catch(() => null));
+            db = new Database(file);
+            db.pragma('journal_mode = WAL');
+            const check = db.pragma('quick_check', { simple: true });
+            if (check !== 'ok') {
+                throw new Error(`SQLite 数据库 ${file} 已损坏 (${check})，请从 ${backupDir} 中选择备份替换该文件。`);
+            }
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL);
+                CREATE TABLE IF NOT EXISTS records (collection TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (collection, key));
+                CREATE TABLE IF NOT EXISTS history (id INTEGER PRIMARY KEY AUTOINCREMENT, history_id TEXT NOT NULL, entry TEXT NOT NULL);
+                CREATE INDEX IF NOT EXISTS history_key ON history (history_id, id);
+            `);
+            statements = {
+                readDocument: db.prepare('SELECT value FROM documents WHERE name = ?'),
+                writeDocument: db.prepare('INSERT OR REPLACE INTO documents (name, value, updated_at) VALUES (?, ?, ?)'),
+                readCollection: db.prepare('SELECT value FROM records WHERE collection = ? ORDER BY key'),
+                upsertRecord: db.prepare('INSERT OR REPLACE INTO records (collection, key, value) VALUES (?, ?, ?)'),
+                removeRecord: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+                clearCollection: db.prepare('DELETE FROM records WHERE collection = ?'),
+                appendHistory: db.prepare('INSERT INTO history (history_id, entry) VALUES (?, ?)'),
+                readHistory: db.prepare('SELECT entry FROM history WHERE history_id = ? ORDER BY id'),
+                listHistoryIds: db.prepare('SELECT DISTINCT history_id FROM history'),
+                removeHistory: db.prepare('DELETE FROM history WHERE history_id = ?'),
+            };
+        },
+        async readDocument(name) {
+            const row = statements.readDocument.get(name);
+            return row ? JSON.parse(row.value) : undefined;
+        },
+        async writeDocument(name, value) {
+            statements.writeDocument.run(name, JSON.stringify(value), Date.now());
+            backupIfDue();
+        },
+        async readCollection(name) {
+            return statements.readCollection.all(name).map(row => JSON.parse(row.value));
+        },
+        // changes 为 { upserts: [记录...], removes: [键...] }，不传则用 getRecords() 替换整个集合
+        async saveCollection(name, getRecords, changes) {
+            db.transaction(() => {
+                if (!changes) statements.clearCollection.run(name);
+                const upserts = changes ? changes.upserts : getRecords();
+                upserts.forEach(record => statements.upsertRecord.run(name, getKey(name, record), JSON.stringify(record)));
+                (changes ? changes.removes : []).forEach(key => statements.removeRecord.run(name, String(key)));
+            })();
+            backupIfDue();
+        },
+        async appendHistory(historyId, entry) {
+            statements.appendHistory.run(historyId, JSON.stringify(entry));
+        },
+        async readHistory(historyId) {
+            return statements.readHistory.all(historyId).map(row => JSON.parse(row.entry));
+        },
+        async listHistoryIds() {
+            return statements.listHistoryIds.all().map(row => row.history_id);
+        },
+        async removeHistory(historyId) {
+            statements.removeHistory.run(historyId);
+        },
+    };
+}
+
+// 新建的 SQLite 数据库从现有的 JSON 文件导入数据，切换后端时不会丢失进度
+async function importJsonData(store, { dataDir, documents, collections }) {
+    const source = createJsonStore({ dataDir });
+    await source.open();
+    let documentCount = 0;
+    let recordCount = 0;
+    let historyCount = 0;
+    for (const name of ['meta', ...documents]) {
+        const value = await source.readDocument(name);
+        if (value === undefined) continue;
+        await store.writeDocument(name, value);
+        documentCount++;
+    }
+    for (const name of Object.keys(collections)) {
+        const records = await source.readCollection(name);
+        await store.saveCollection(name, () => records);
+        recordCount += records.length;
+    }
+    for (const historyId of await source.listHistoryIds()) {
+        for (const entry of await source.readHistory(historyId)) {
+            await store.appendHistory(historyId, entry);
+            historyCount++;
+        }
+    }
+    if (documentCount + recordCount + historyCount > 0) {
+        console.log(`已将 JSON 数据导入 SQLite 数据库 (${documentCount} 份数据、${recordCount} 条集合记录、${historyCount} 条接龙记录)。`);
+    }
+}
+
+// backend 为 'json' 或 'sqlite'；documents 与 collections 列出需要持久化的数据，后者为 数据名 -> 取记录键的函数
+async function openStorage({ backend = 'json', dataDir, documents = [], collections = {} }) {
+    await fs.mkdir(dataDir, { recursive: true });
+    let store;
+    if (backend === 'json') {
+        store = createJsonStore({ dataDir });
+    } else if (backend === 'sqlite') {
+        store = createSqliteStore({ dataDir, collections });
+    } else {
+        throw new Error(`未知的存储后端: ${backend}`);
+    }
+    await store.open();
+    if (store.isNew) await importJsonData(store, { dataDir, documents, collections });
+    console.log(`数据存储使用 ${backend === 'sqlite' ? `SQLite (${SQLITE_FILE})` : 'JSON 文件'}。`);
+    return store;
+}
+
+// migrations 为按版本号升序排列的 { version, description, migrate(store) }，数据版本高于程序时拒绝启动
+async function runMigrations(store, migrations) {
+    const meta = (await store.readDocument('meta')) || {};
+    let version = Number(meta.schemaVersion) || 0;
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    if (version > latest) {
+        throw new Error(`数据版本 ${version} 高于当前程序支持的版本 ${latest}，请升级服务器程序。`);
+    }
+    for (const migration of migrations) {
+        if (migration.version <= version) continue;
+        console.log(`正在将数据迁移到第 ${migration.version} 版：${migration.description}`);
+        await migration.migrate(store);
+        version = migration.version;
+        await store.writeDocument('meta', { ...meta, schemaVersion: version, migratedAt: Date.now() });
+    }
+    return version;
+}
+
+module.exports = {
+    BACKUP_INTERVAL_MS,
+    BACKUP_LIMIT,
+    openStorage,
+    runMigrations,
+};
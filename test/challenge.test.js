@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, waitForState } = require('./helpers');
+
+let server;
+const sockets = [];
+
+before(async () => {
+    server = await startServer();
+    for (const sentence of ['明月几时有', '月是故乡明', '冰心一片在玉壶']) {
+        const { status } = await server.adminPost('/cache/add', { sentence });
+        assert.strictEqual(status, 200);
+    }
+});
+
+after(async () => {
+    sockets.forEach(socket => socket.close());
+    await server.stop();
+});
+
+async function joinPlayers(roomId, nicknames) {
+    const players = {};
+    for (const [index, nickname] of nicknames.entries()) {
+        const socket = server.connect();
+        sockets.push(socket);
+        const joined = waitFor(socket, 'joinSuccess');
+        if (index === 0) socket.emit('createRoom', { roomName: roomId, nickname, settings: { usedSentencesLimit: 0 } });
+        else socket.emit('joinRoom', { roomId, nickname });
+        await joined;
+        players[nickname] = socket;
+    }
+    return players;
+}
+
+test('经典模式质疑未成立后，投票期间排队的答案不会在新一轮被计分', async () => {
+    const { A, B, C } = await joinPlayers('CHALLENGE', ['A', 'B', 'C']);
+
+    A.emit('submitAnswer', '明月几时有');
+    await waitForState(A, state => state.players.A.score === 1 && state.choice);
+    C.emit('challengeAnswer');
+    await waitForState(A, state => state.currentVote && state.currentVote.challenger === 'C');
+
+    // 投票期间提交的答案针对的仍是【月】字这一轮
+    C.emit('submitAnswer', '月是故乡明');
+    await waitForState(A, state => state.queue.some(item => item.answer === '月是故乡明'));
+    B.emit('submitVote', 'valid');
+    C.emit('submitVote', 'valid');
+    await waitForState(A, state => !state.currentVote && state.choice && state.choice.winnerNickname === 'A');
+    assert.strictEqual(A.state.queue.length, 0, '质疑未成立后应丢弃投票期间排队的答案');
+
+    A.emit('chooseNewChar', { char: '冰' });
+    await waitForState(A, state => state.currentStartChar === '冰' && !state.choice);
+    B.emit('submitAnswer', '冰心一片在玉壶');
+    const state = await waitForState(A, current => current.players.B.score === 1 && current.choice);
+    assert.strictEqual(state.players.C.score, 0);
+    assert.strictEqual(state.choice.answer, '冰心一片在玉壶');
+});
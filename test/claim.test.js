@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor } = require('./helpers');
+
+let server;
+const sockets = [];
+
+// 旧版本存档：玩家尚无重连凭证
+const legacyRooms = {
+    LEGACY: {
+        id: 'LEGACY',
+        name: 'LEGACY',
+        isPermanent: true,
+        host: '旧玩家',
+        mode: 'classic',
+        settings: {},
+        players: {
+            旧玩家: { nickname: '旧玩家', score: 3, online: false },
+        },
+        currentStartChar: '月',
+        usedSentences: [],
+        validationQueue: [],
+        currentVote: null,
+    },
+};
+
+before(async () => {
+    server = await startServer({ files: { 'rooms.json': legacyRooms } });
+});
+
+after(async () => {
+    sockets.forEach(socket => socket.close());
+    await server.stop();
+});
+
+function join(nickname, token) {
+    const socket = server.connect();
+    sockets.push(socket);
+    socket.emit('joinRoom', { roomId: 'LEGACY', nickname, token });
+    return Promise.race([
+        waitFor(socket, 'joinSuccess').then(result => ({ socket, result })),
+        waitFor(socket, 'joinError').then(error => ({ socket, error })),
+    ]);
+}
+
+test('没有凭证的席位升级后标记为待认领，不能被直接接管', async () => {
+    const { body: players } = await server.adminGet('/rooms/LEGACY/players');
+    assert.strictEqual(players[0].unclaimed, true);
+    const { error } = await join('旧玩家');
+    assert.match(error, /尚未认领/);
+});
+
+test('管理员允许认领后，下一位进入者接管席位并获得新凭证', async () => {
+    assert.strictEqual((await server.adminPost('/rooms/players/allow-claim', { roomId: 'LEGACY', nickname: '旧玩家' })).status, 200);
+    const { socket, result } = await join('旧玩家');
+    assert.ok(result.token, '认领时应补发新凭证');
+    const { body: players } = await server.adminGet('/rooms/LEGACY/players');
+    assert.deepStrictEqual(
+        { score: players[0].score, unclaimed: players[0].unclaimed, claimable: players[0].claimable },
+        { score: 3, unclaimed: false, claimable: false }
+    );
+
+    // 认领只生效一次：离线后只有持有新凭证的人能重新进入
+    socket.close();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.match((await join('旧玩家')).error, /只能由其本人重新进入/);
+    assert.ok((await join('旧玩家', result.token)).result);
+});
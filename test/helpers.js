@@ -0,0 +1,145 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const ADMIN_PASSWORD = 'test-password';
+
+// 与 setup.js 相同的密码散列方式
+function writeAdminConfig(dataDir) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.pbkdf2Sync(ADMIN_PASSWORD, salt, 100000, 64, 'sha512').toString('hex');
+    fs.writeFileSync(path.join(dataDir, 'admin.json'), JSON.stringify({ salt, hash }, null, 2));
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// 在临时数据目录中启动一个服务器进程，等到数据加载完成后返回；
+// files 为预先写入数据目录的存档，如 { 'rooms.json': {...} }，字符串内容按原样写入
+async function startServer({ files = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feihua-test-'));
+    writeAdminConfig(dataDir);
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dataDir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dataDir, name), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    }
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, DATA_DIR: dataDir, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`服务器启动超时:\n${output}`)), 10000);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('有效诗句缓存已加载')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`服务器进程提前退出 (${code}):\n${output}`));
+        });
+    });
+    const url = `http://localhost:${port}`;
+    let cookie = null;
+
+    async function adminRequest(route, options = {}) {
+        if (!cookie) {
+            const login = await fetch(`${url}/admin/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password: ADMIN_PASSWORD }),
+            });
+            cookie = login.headers.get('set-cookie').split(';')[0];
+        }
+        const response = await fetch(`${url}/admin/api${route}`, { ...options, headers: { ...options.headers, cookie } });
+        return { status: response.status, body: await response.json() };
+    }
+
+    return {
+        url,
+        dataDir,
+        adminRequest,
+        adminGet: route => adminRequest(route),
+        adminPost: (route, body) => adminRequest(route, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        }),
+        connect() {
+            const socket = io(url, { transports: ['websocket'], forceNew: true });
+            socket.messages = [];
+            socket.state = null;
+            socket.on('newMessage', message => socket.messages.push(message.content));
+            socket.on('gameStateUpdate', state => { socket.state = state; });
+            return socket;
+        },
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        },
+    };
+}
+
+function waitFor(socket, event) {
+    return new Promise(resolve => socket.once(event, resolve));
+}
+
+// 等待某个客户端收到的游戏状态满足条件
+function waitForState(socket, predicate, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        if (socket.state && predicate(socket.state)) return resolve(socket.state);
+        const timer = setTimeout(() => {
+            socket.off('gameStateUpdate', check);
+            reject(new Error('等待游戏状态超时'));
+        }, timeout);
+        function check(state) {
+            if (!predicate(state)) return;
+            clearTimeout(timer);
+            socket.off('gameStateUpdate', check);
+            resolve(state);
+        }
+        socket.on('gameStateUpdate', check);
+    });
+}
+
+// 等待某个客户端收到包含指定文字的消息
+function waitForMessage(socket, text, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const found = socket.messages.find(message => message.includes(text));
+        if (found) return resolve(found);
+        const timer = setTimeout(() => {
+            socket.off('newMessage', check);
+            reject(new Error(`等待消息超时: ${text}`));
+        }, timeout);
+        function check(message) {
+            if (!message.content.includes(text)) return;
+            clearTimeout(timer);
+            socket.off('newMessage', check);
+            resolve(message.content);
+        }
+        socket.on('newMessage', check);
+    });
+}
+
+module.exports = { startServer, waitFor, waitForState, waitForMessage };
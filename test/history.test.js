@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, waitFor, waitForState } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 预先写入的记录文件在 SQLite 后端下会被导入数据库，只有 JSON 后端能直接检查文件是否删除
+const usesJsonFiles = (process.env.STORAGE_BACKEND || 'json') === 'json';
+const expiredId = `OLD-${'a'.repeat(24)}`;
+const orphanId = `LOST-${'b'.repeat(24)}`;
+const entry = { answer: '明月几时有', nickname: 'A', startChar: '月', matchStart: 1, timestamp: 2 };
+
+let server;
+const sockets = [];
+
+before(async () => {
+    server = await startServer({
+        files: {
+            'history_archive.json': { [expiredId]: { roomId: 'OLD', roomName: 'OLD', endedAt: Date.now() - 31 * DAY_MS } },
+            [`history/${expiredId}.jsonl`]: JSON.stringify(entry) + '\n',
+            [`history/${orphanId}.jsonl`]: JSON.stringify(entry) + '\n',
+            'history/GUESSABLE.jsonl': JSON.stringify(entry) + '\n',
+        },
+    });
+    assert.strictEqual((await server.adminPost('/cache/add', { sentence: '明月几时有' })).status, 200);
+});
+
+after(async () => {
+    sockets.forEach(socket => socket.close());
+    await server.stop();
+});
+
+function getHistory(historyId, format = 'json') {
+    return fetch(`${server.url}/api/history/${encodeURIComponent(historyId)}.${format}`);
+}
+
+test('房间解散后仍可凭历史记录ID查看和导出接龙', async () => {
+    const host = server.connect();
+    const guest = server.connect();
+    sockets.push(host, guest);
+    host.emit('createRoom', { roomName: 'NIGHT', nickname: 'A', password: 'secret' });
+    await waitFor(host, 'joinSuccess');
+    guest.emit('joinRoom', { roomId: 'NIGHT', nickname: 'B', password: 'secret' });
+    await waitFor(guest, 'joinSuccess');
+    host.emit('submitAnswer', '明月几时有');
+    const { historyId } = await waitForState(host, state => state.players.A.score === 1);
+    assert.match(historyId, /^NIGHT-[0-9a-f]{24}$/);
+
+    host.emit('leaveRoom');
+    guest.emit('leaveRoom');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual((await fetch(`${server.url}/api/rooms/NIGHT/history.json`)).status, 404, '房间已解散');
+
+    const response = await getHistory(historyId);
+    assert.strictEqual(response.status, 200);
+    const data = await response.json();
+    assert.deepStrictEqual([data.roomName, data.entries.map(e => e.answer)], ['NIGHT', ['明月几时有']]);
+    assert.match(await (await getHistory(historyId, 'md')).text(), /# 古诗词接龙记录 · NIGHT/);
+});
+
+test('可被猜到的旧版记录ID不能访问', async () => {
+    assert.strictEqual((await getHistory('GUESSABLE')).status, 404);
+    if (usesJsonFiles) {
+        assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'history', 'GUESSABLE.jsonl')), false, '无法访问的遗留记录在启动时删除');
+    }
+});
+
+test('遗留的可分享记录转入往期记录，过期的记录被删除', async () => {
+    assert.strictEqual((await getHistory(orphanId)).status, 200);
+    assert.strictEqual((await getHistory(expiredId)).status, 404);
+    if (usesJsonFiles) {
+        assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'history', `${expiredId}.jsonl`)), false);
+    }
+});
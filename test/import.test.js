@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+function importBody(body, contentType) {
+    return server.adminRequest('/cache/import', { method: 'POST', headers: { 'Content-Type': contentType }, body });
+}
+
+test('以 application/json 上传超过 100kb 的数组也能导入', async () => {
+    // 把序号按百进制写成四个常用汉字区内的字，重复两遍凑成八个字的句子，保证互不重复
+    const toChars = i => [1000000, 10000, 100, 1].map(unit => String.fromCharCode(0x4e00 + Math.floor(i / unit) % 100)).join('');
+    const lines = Array.from({ length: 6000 }, (_, i) => toChars(i).repeat(2));
+    const body = JSON.stringify(lines);
+    assert.ok(Buffer.byteLength(body) > 100 * 1024);
+    const { status, body: result } = await importBody(body, 'application/json');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(result.report.format, 'json');
+    assert.strictEqual(result.report.added, lines.length);
+});
+
+test('以 application/json 上传的非数组内容返回 400', async () => {
+    const { status, body } = await importBody(JSON.stringify({ sentence: '床前明月光' }), 'application/json');
+    assert.strictEqual(status, 400);
+    assert.match(body.message, /JSON 内容必须是数组/);
+});
+
+test('纯文本按行导入', async () => {
+    const { status, body } = await importBody('床前明月光\n疑是地上霜\n床前明月光\n', 'text/plain');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual([body.report.format, body.report.added, body.report.duplicateCount], ['text', 2, 1]);
+});
@@ -0,0 +1,33 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, waitForMessage } = require('./helpers');
+
+let server;
+let socket;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    if (socket) socket.close();
+    await server.stop();
+});
+
+test('批准单人练习中记下的诗句时保留练习来源和提交者', async () => {
+    socket = server.connect();
+    socket.emit('createRoom', { roomName: 'PRACTICE', nickname: '练习者', practice: true });
+    await waitFor(socket, 'joinSuccess');
+    socket.emit('submitAnswer', '月出惊山鸟');
+    await waitForMessage(socket, '已记入待确认列表');
+
+    const { status } = await server.adminPost('/pending/approve', { sentences: ['月出惊山鸟'] });
+    assert.strictEqual(status, 200);
+    const { body } = await server.adminGet('/cache?source=practice');
+    assert.strictEqual(body.total, 1);
+    const [entry] = body.entries;
+    assert.deepStrictEqual(
+        { sentence: entry.sentence, source: entry.source, roomId: entry.roomId, nickname: entry.nickname },
+        { sentence: '月出惊山鸟', source: 'practice', roomId: 'PRACTICE', nickname: '练习者' }
+    );
+});
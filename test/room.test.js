@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const roomState = require('../room');
+
+// 假计时器：记录计划中的回调，由测试手动触发
+let scheduled;
+
+function fire(delay) {
+    scheduled.filter(timer => timer && timer.delay === delay).forEach(timer => {
+        scheduled[scheduled.indexOf(timer)] = null;
+        timer.callback();
+    });
+}
+
+function pending() {
+    return scheduled.filter(Boolean).length;
+}
+
+function createRoom(data = {}) {
+    return { id: 'TEST', match: { ended: false }, validationQueue: [], currentVote: null, ...data };
+}
+
+beforeEach(() => {
+    scheduled = [];
+    roomState.useTimers({
+        setTimeout: (callback, delay) => scheduled.push({ callback, delay }) - 1,
+        clearTimeout: handle => { scheduled[handle] = null; },
+    });
+});
+
+afterEach(() => {
+    roomState.useTimers(null);
+});
+
+test('新房间的阶段由房间数据推断', () => {
+    assert.strictEqual(roomState.getPhase(createRoom()), 'waiting');
+    assert.strictEqual(roomState.getPhase(createRoom({ validationQueue: [{ answer: '床前明月光' }] })), 'validating');
+    assert.strictEqual(roomState.getPhase(createRoom({ currentVote: { votes: {} } })), 'voting');
+    assert.strictEqual(roomState.getPhase(createRoom({ choice: { winnerNickname: 'A' } })), 'choosing');
+    assert.strictEqual(roomState.getPhase(createRoom({ match: { ended: true } })), 'ended');
+});
+
+test('合法转换生效，非法转换被拒绝且阶段不变', t => {
+    t.mock.method(console, 'warn', () => {});
+    const room = createRoom();
+    assert.strictEqual(roomState.transition(room, 'validating'), true);
+    assert.strictEqual(roomState.transition(room, 'voting'), true);
+    assert.strictEqual(roomState.canTransition(room, 'choosing'), false);
+    assert.strictEqual(roomState.transition(room, 'choosing'), false);
+    assert.strictEqual(roomState.getPhase(room), 'voting');
+    assert.strictEqual(roomState.transition(room, 'voting'), true, '停留在原阶段总是允许的');
+    assert.strictEqual(roomState.transition(room, 'ended'), true);
+    assert.strictEqual(roomState.transition(room, 'validating'), false);
+    assert.strictEqual(roomState.transition(room, 'waiting'), true);
+});
+
+test('进入未知阶段会抛出错误', () => {
+    assert.throws(() => roomState.transition(createRoom(), 'paused'), /未知的房间阶段/);
+});
+
+test('每个阶段的合法去向都是已知阶段', () => {
+    Object.entries(roomState.TRANSITIONS).forEach(([from, targets]) => {
+        assert.ok(roomState.PHASES[from]);
+        targets.forEach(target => assert.ok(roomState.PHASES[target], `${from} -> ${target}`));
+    });
+});
+
+test('同名计时器只保留最后一个，触发后自动移除', () => {
+    const room = createRoom();
+    const fired = [];
+    roomState.setTimer(room, 'choice', 1000, () => fired.push('first'));
+    roomState.setTimer(room, 'choice', 2000, () => fired.push('second'), 'key-2');
+    assert.strictEqual(pending(), 1);
+    assert.strictEqual(roomState.getTimerKey(room, 'choice'), 'key-2');
+
+    fire(1000);
+    assert.deepStrictEqual(fired, []);
+    fire(2000);
+    assert.deepStrictEqual(fired, ['second']);
+    assert.strictEqual(roomState.hasTimer(room, 'choice'), false);
+});
+
+test('负的延迟按 0 处理', () => {
+    const room = createRoom();
+    roomState.setTimer(room, 'vote:A', -500, () => {});
+    assert.strictEqual(scheduled[0].delay, 0);
+});
+
+test('clearTimer 与 clearTimers 按名称和前缀清除', () => {
+    const room = createRoom();
+    roomState.setTimer(room, 'vote:A', 1000, () => assert.fail('已清除的计时器不应触发'));
+    roomState.setTimer(room, 'vote:B', 1000, () => assert.fail('已清除的计时器不应触发'));
+    roomState.setTimer(room, 'reconnect:A', 1000, () => {});
+    roomState.clearTimer(room, 'vote:A');
+    assert.strictEqual(roomState.hasTimer(room, 'vote:A'), false);
+    assert.strictEqual(roomState.hasTimer(room, 'vote:B'), true);
+
+    roomState.clearTimers(room, 'vote:');
+    assert.strictEqual(roomState.hasTimer(room, 'vote:B'), false);
+    assert.strictEqual(roomState.hasTimer(room, 'reconnect:A'), true);
+    fire(1000);
+    assert.strictEqual(roomState.hasTimer(room, 'reconnect:A'), false);
+});
+
+test('房间之间的同名计时器互不影响', () => {
+    const first = createRoom({ id: 'A' });
+    const second = createRoom({ id: 'B' });
+    roomState.setTimer(first, 'reconnect:甲', 1000, () => {});
+    roomState.setTimer(second, 'reconnect:甲', 1000, () => {});
+    roomState.clearTimer(first, 'reconnect:甲');
+    assert.strictEqual(roomState.hasTimer(first, 'reconnect:甲'), false);
+    assert.strictEqual(roomState.hasTimer(second, 'reconnect:甲'), true);
+});
+
+test('销毁房间时停止其所有计时器并丢弃阶段', () => {
+    const room = createRoom();
+    roomState.transition(room, 'choosing');
+    roomState.setTimer(room, 'choice', 1000, () => assert.fail('房间销毁后计时器不应触发'));
+    roomState.setTimer(room, 'match', 5000, () => assert.fail('房间销毁后计时器不应触发'));
+    roomState.disposeRoom(room);
+    assert.strictEqual(pending(), 0);
+    assert.strictEqual(roomState.hasTimer(room, 'choice'), false);
+    fire(1000);
+    fire(5000);
+    assert.strictEqual(roomState.getPhase(room), 'waiting', '销毁后重新按房间数据推断阶段');
+});
+
+test('状态栏文字由阶段决定', () => {
+    const room = createRoom({ validationQueue: [{ answer: '床前明月光' }] });
+    assert.strictEqual(roomState.describePhase(room, true), '验证中 ([床前明月光])');
+    room.validationQueue = [];
+    roomState.transition(room, 'waiting');
+    assert.strictEqual(roomState.describePhase(room, true), '等待输入');
+    assert.strictEqual(roomState.describePhase(room, false), '等待玩家...');
+    room.currentVote = { challenge: { challenger: 'B' } };
+    roomState.transition(room, 'voting');
+    assert.strictEqual(roomState.describePhase(room, true), '质疑投票中');
+    room.currentVote = null;
+    roomState.transition(room, 'waiting');
+    room.choice = { winnerNickname: 'A' };
+    roomState.transition(room, 'choosing');
+    assert.strictEqual(roomState.describePhase(room, true), '选择新字 (等待【A】)');
+});
@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, waitForMessage } = require('./helpers');
+
+let server;
+const sockets = [];
+
+before(async () => {
+    server = await startServer();
+    assert.strictEqual((await server.adminPost('/cache/add', { sentence: '春风又绿江南岸' })).status, 200);
+    assert.strictEqual((await server.adminPost('/banned-words', { words: ['江南'] })).status, 200);
+});
+
+after(async () => {
+    sockets.forEach(socket => socket.close());
+    await server.stop();
+});
+
+test('已缓存的诗句同样要先通过屏蔽词检查', async () => {
+    const host = server.connect();
+    const guest = server.connect();
+    sockets.push(host, guest);
+    host.emit('createRoom', { roomName: 'BANNED', nickname: 'A', settings: { startChar: '春' } });
+    await waitFor(host, 'joinSuccess');
+    guest.emit('joinRoom', { roomId: 'BANNED', nickname: 'B' });
+    await waitFor(guest, 'joinSuccess');
+
+    guest.emit('submitAnswer', '春风又绿江南岸');
+    const message = await waitForMessage(host, '[春风又绿江南岸] 未通过');
+    assert.match(message, /屏蔽词/);
+    assert.strictEqual(host.state.players.B.score, 0);
+});